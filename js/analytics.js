@@ -0,0 +1,299 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ANALYTICS
+ * ==========================================
+ *
+ * Records the signup funnel: page view, how far into #about the visitor
+ * scrolls, which fields they focus, validation failures by reason,
+ * submits with their outcome, and the experiment variants the visitor saw
+ * and signed up with (js/experiments.js). Events are batched and handed
+ * to a sink: the local collector (POST /api/analytics,
+ * server/routes/analytics.js), the console, or nowhere.
+ *
+ * Nothing is recorded without the visitor's analytics consent, or at all
+ * when the browser sends Do Not Track or Global Privacy Control. The page
+ * only loads this script once consent is given (js/consent.js); it listens
+ * for consent being withdrawn itself. Events carry no personal data: field
+ * names and error codes, never what was typed.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const ANALYTICS_CONFIG = {
+  // 'collector', 'console' or 'none' (see ANALYTICS_SINKS)
+  sink: 'collector',
+  endpoint: '/api/analytics',
+  // Send once this many events are waiting, and whenever the tab is hidden
+  batchSize: 20,
+
+  // Depths (percent of the section scrolled past) worth recording
+  scrollTarget: '#about',
+  scrollDepths: [0, 25, 50, 75, 100]
+};
+
+// ==========================================
+// SINKS
+// ==========================================
+
+/**
+ * Posts batches to the collector with sendBeacon, which survives the page
+ * being closed
+ */
+class CollectorSink {
+  /**
+   * @param {string} endpoint - Collector URL
+   */
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * @param {Object} batch - { pageId, events }
+   */
+  send(batch) {
+    const body = JSON.stringify(batch);
+
+    if (navigator.sendBeacon &&
+        navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    // No beacon support, or the browser's beacon quota is used up
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(() => {
+      // Analytics never gets in the visitor's way
+    });
+  }
+}
+
+class ConsoleSink {
+  send(batch) {
+    console.log('Analytics:', batch.events);
+  }
+}
+
+class NullSink {
+  send() {}
+}
+
+// Sink name -> factory(config). Add to it for other destinations.
+const ANALYTICS_SINKS = {
+  collector: config => new CollectorSink(config.endpoint),
+  console: () => new ConsoleSink(),
+  none: () => new NullSink()
+};
+
+// ==========================================
+// ANALYTICS
+// ==========================================
+
+class Analytics {
+  /**
+   * @param {Object} events - App event bus to follow the form on
+   * @param {Object} config - See ANALYTICS_CONFIG
+   * @param {Experiments} experiments - The page's experiments, if any
+   */
+  constructor(events, config = ANALYTICS_CONFIG, experiments = null) {
+    this.events = events;
+    this.config = config;
+    this.experiments = experiments;
+    this.sink = null;
+    this.queue = [];
+    this.enabled = false;
+    this.pageViewed = false;
+    // Only groups this page load's events; nothing is stored
+    this.pageId = Math.random().toString(36).slice(2, 12);
+    this.focused = new Set();
+    this.depths = new Set();
+    this.scrollTarget = null;
+    this.ticking = false;
+    this.unsubscribeConsent = null;
+    this.handleScroll = () => this.requestScrollCheck();
+    this.handlePageHide = () => this.flush();
+  }
+
+  /**
+   * Whether the browser asks not to be tracked (DNT or GPC)
+   * @returns {boolean} Opted out
+   */
+  static optedOut() {
+    if (navigator.globalPrivacyControl === true) return true;
+    return [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack]
+      .some(value => value === '1' || value === 'yes');
+  }
+
+  init() {
+    if (Analytics.optedOut()) return;
+
+    const createSink = ANALYTICS_SINKS[this.config.sink];
+    if (!createSink) {
+      console.warn(`Unknown analytics sink "${this.config.sink}", not recording`);
+      return;
+    }
+    this.sink = createSink(this.config);
+
+    this.events.on('form:focus', ({ field }) => {
+      // First focus per field is what the funnel needs
+      if (this.focused.has(field)) return;
+      this.focused.add(field);
+      this.track('input_focus', { field });
+    });
+    this.events.on('form:invalid', ({ field, reason }) => this.track('validation_failed', { field, reason }));
+    this.events.on('form:submit', () => this.track('submit'));
+    this.events.on('form:submitted', ({ queued }) => this.track('submit_success', { queued }));
+    this.events.on('form:failed', ({ code }) => this.track('submit_error', { code }));
+    this.events.on('experiment:conversion', ({ experiment, variant }) => {
+      this.track('experiment_conversion', { experiment, variant });
+    });
+
+    this.scrollTarget = document.querySelector(this.config.scrollTarget);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    if (typeof consentManager !== 'undefined' && consentManager) {
+      this.unsubscribeConsent = consentManager.onChange(choices => this.setEnabled(choices.analytics));
+      this.setEnabled(consentManager.isGranted('analytics'));
+    }
+  }
+
+  /**
+   * Start or stop recording as consent is given or withdrawn
+   * @param {boolean} granted - Analytics consent
+   */
+  setEnabled(granted) {
+    this.enabled = Boolean(granted);
+
+    if (!this.enabled) {
+      // Whatever was waiting goes unsent
+      this.queue = [];
+      window.removeEventListener('scroll', this.handleScroll);
+      return;
+    }
+
+    if (!this.pageViewed) {
+      this.pageViewed = true;
+      this.track('page_view', {
+        path: window.location.pathname,
+        language: document.documentElement.lang || null
+      });
+      // Variants were shown before this script loaded
+      if (this.experiments) {
+        this.experiments.exposures().forEach(({ experiment, variant }) => {
+          this.track('experiment_exposure', { experiment, variant });
+        });
+      }
+    }
+    if (this.scrollTarget && this.depths.size < this.config.scrollDepths.length) {
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+      this.checkScrollDepth();
+    }
+  }
+
+  /**
+   * Queue an event, sending the batch once it is full
+   * @param {string} type - Event name
+   * @param {Object} data - Event fields
+   */
+  track(type, data = {}) {
+    if (!this.enabled) return;
+
+    this.queue.push({ type, at: Date.now(), ...data });
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush();
+    }
+  }
+
+  requestScrollCheck() {
+    if (this.ticking) return;
+    this.ticking = true;
+    requestAnimationFrame(() => {
+      this.ticking = false;
+      this.checkScrollDepth();
+    });
+  }
+
+  /**
+   * Record each depth into the target section the first time it is
+   * reached: 0 as it comes into view, 100 once its end has
+   */
+  checkScrollDepth() {
+    const rect = this.scrollTarget.getBoundingClientRect();
+    const seen = (window.innerHeight - rect.top) / Math.max(rect.height, 1);
+    if (seen < 0) return;
+
+    const percent = Math.min(seen, 1) * 100;
+    this.config.scrollDepths.forEach(depth => {
+      if (percent >= depth && !this.depths.has(depth)) {
+        this.depths.add(depth);
+        this.track('scroll_depth', { target: this.config.scrollTarget, depth });
+      }
+    });
+
+    if (this.depths.size === this.config.scrollDepths.length) {
+      window.removeEventListener('scroll', this.handleScroll);
+    }
+  }
+
+  /**
+   * Send everything waiting
+   */
+  flush() {
+    if (this.queue.length === 0 || !this.sink) return;
+
+    const events = this.queue;
+    this.queue = [];
+    try {
+      this.sink.send({ pageId: this.pageId, events });
+    } catch (error) {
+      console.warn('Analytics sink failed:', error);
+    }
+  }
+
+  /**
+   * The tab was hidden: it may never come back, so send now
+   */
+  pause() {
+    this.flush();
+  }
+
+  destroy() {
+    this.flush();
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    if (this.unsubscribeConsent) {
+      this.unsubscribeConsent();
+    }
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+if (typeof window !== 'undefined' && window.CrumbleBakeryApp) {
+  // Exposures happen before this loads; they're read from the experiments
+  // module, when the page has one (js/experiments.js)
+  window.CrumbleBakeryApp.register('analytics', {
+    dependsOn: typeof Experiments !== 'undefined' ? ['experiments'] : [],
+    create: ({ events, get }) => new Analytics(events, ANALYTICS_CONFIG, get('experiments'))
+  });
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Analytics,
+    CollectorSink,
+    ConsoleSink,
+    NullSink,
+    ANALYTICS_SINKS,
+    ANALYTICS_CONFIG
+  };
+}
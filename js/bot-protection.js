@@ -0,0 +1,149 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - BOT PROTECTION
+ * ==========================================
+ * 
+ * Fetches a proof-of-work challenge as soon as the page loads and solves
+ * it in a Web Worker (js/pow-worker.js) while the visitor fills in the
+ * form, so a signup can carry its proof without anyone waiting. The
+ * server also rejects signups sent sooner than `minSubmitTime` after the
+ * challenge was issued; getProof() quietly waits that out.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const BOT_PROTECTION_CONFIG = {
+  challengeEndpoint: '/api/challenge',
+  workerUrl: './js/pow-worker.js',
+  timeout: 8000,
+  // Fetch a new challenge when the prepared one is this close to expiring
+  expiryMargin: 30 * 1000
+};
+
+// ==========================================
+// BOT PROTECTION
+// ==========================================
+
+class BotProtection {
+  constructor(options = {}) {
+    this.config = { ...BOT_PROTECTION_CONFIG, ...options };
+    this.pending = null;
+  }
+
+  /**
+   * Start fetching and solving a challenge, unless one is on its way
+   * @returns {Promise<Object>} Prepared proof
+   */
+  prepare() {
+    if (!this.pending) {
+      const pending = this.createProof();
+      this.pending = pending;
+      // A failed attempt is retried by the next prepare()
+      pending.catch(() => {
+        if (this.pending === pending) {
+          this.pending = null;
+        }
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Take the prepared proof for one submission. Each proof is accepted
+   * once, so the next submission solves a new challenge.
+   * @returns {Promise<Object>} { challenge, nonce }
+   */
+  async getProof() {
+    let proof = await this.prepare();
+    this.pending = null;
+
+    if (Date.now() > proof.staleAt) {
+      proof = await this.prepare();
+      this.pending = null;
+    }
+
+    const wait = proof.readyAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    return { challenge: proof.challenge, nonce: proof.nonce };
+  }
+
+  /**
+   * Fetch a challenge and solve it
+   * @returns {Promise<Object>} { challenge, nonce, readyAt, staleAt }
+   */
+  async createProof() {
+    const { challenge, difficulty, minSubmitTime, expiresIn } = await this.fetchChallenge();
+    // Never earlier than the server's own issue time
+    const issuedAt = Date.now();
+    const { nonce } = await this.solve(challenge, difficulty);
+
+    return {
+      challenge,
+      nonce,
+      readyAt: issuedAt + minSubmitTime,
+      staleAt: issuedAt + expiresIn - this.config.expiryMargin
+    };
+  }
+
+  /**
+   * Ask the server for a challenge
+   * @returns {Promise<Object>} { challenge, difficulty, minSubmitTime, expiresIn }
+   */
+  async fetchChallenge() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(this.config.challengeEndpoint, {
+        headers: { 'Accept': 'application/json' },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Challenge request failed with status ${response.status}`);
+      }
+
+      const body = await response.json();
+      return body.data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Solve a challenge in a Web Worker
+   * @param {string} challenge - Challenge token
+   * @param {number} difficulty - Required leading zero bits
+   * @returns {Promise<Object>} { nonce, attempts }
+   */
+  solve(challenge, difficulty) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.config.workerUrl);
+
+      worker.addEventListener('message', (event) => {
+        worker.terminate();
+        resolve(event.data);
+      });
+      worker.addEventListener('error', (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'Proof-of-work worker failed'));
+      });
+
+      worker.postMessage({ challenge, difficulty });
+    });
+  }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BotProtection,
+    BOT_PROTECTION_CONFIG
+  };
+}
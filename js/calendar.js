@@ -0,0 +1,427 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ADD TO CALENDAR
+ * ==========================================
+ *
+ * Offers the launch (the countdown's last milestone) as a calendar event:
+ * an RFC 5545 .ics file, which Apple Calendar opens directly, and links
+ * that prefill Google Calendar and Outlook. The event's title, location
+ * and description are page config, read from data attributes on the
+ * control so they can be translated like any other copy:
+ *
+ *   <details id="addToCalendar" data-event-title="..." data-event-location="..."
+ *            data-event-description="..." data-event-duration="240">
+ *
+ * The .ics event is written in the bakery's timezone, with a VTIMEZONE
+ * built from the browser's own timezone data (Intl).
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const CALENDAR_CONFIG = {
+  fileName: 'crumble-bakery-opening.ics',
+  productId: '-//Crumble Bakery//Coming Soon//EN',
+  // Event length when the page doesn't say (minutes)
+  defaultDuration: 4 * 60,
+  // Reminder this long before the event (minutes)
+  reminder: 24 * 60,
+
+  SELECTORS: {
+    control: '#addToCalendar',
+    links: '[data-calendar]'
+  },
+
+  URLS: {
+    google: 'https://calendar.google.com/calendar/render',
+    outlook: 'https://outlook.live.com/calendar/0/action/compose'
+  }
+};
+
+const MINUTE = 60 * 1000;
+
+// ==========================================
+// ICALENDAR FORMATTING
+// ==========================================
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1), without splitting a
+ * UTF-8 character
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards the 75
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * @param {number} at - Epoch milliseconds
+ * @returns {string} UTC date-time, e.g. 20261205T080000Z
+ */
+function formatIcsUtc(at) {
+  return new Date(at).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {number} at - Epoch milliseconds
+ * @param {number} offset - UTC offset in minutes
+ * @returns {string} Local date-time, e.g. 20261205T080000
+ */
+function formatIcsLocal(at, offset) {
+  return formatIcsUtc(at + offset * MINUTE).slice(0, -1);
+}
+
+/**
+ * @param {number} offset - UTC offset in minutes
+ * @returns {string} e.g. +0100 or -0330
+ */
+function formatIcsOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  return sign + String(Math.floor(minutes / 60)).padStart(2, '0') + String(minutes % 60).padStart(2, '0');
+}
+
+/**
+ * @param {number} minutes - Length of time
+ * @returns {string} RFC 5545 duration, e.g. P1D or PT1H30M
+ */
+function formatIcsDuration(minutes) {
+  if (minutes % (24 * 60) === 0) {
+    return `P${minutes / (24 * 60)}D`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours ? `${hours}H` : ''}${minutes % 60 ? `${minutes % 60}M` : ''}`;
+}
+
+// ==========================================
+// TIMEZONES
+// ==========================================
+
+/**
+ * A timezone's UTC offset at some moment
+ * @param {number} at - Epoch milliseconds
+ * @param {string} timeZone - IANA name
+ * @returns {number} Offset in minutes (e.g. 60 for BST)
+ */
+function zoneOffset(at, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(at).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(at / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Moments a timezone changes its offset, found by checking it week by week
+ * and narrowing each change down to the minute
+ * @param {string} timeZone - IANA name
+ * @param {number} from - Epoch milliseconds
+ * @param {number} to - Epoch milliseconds
+ * @returns {Array} [{ at, from, to }] with offsets in minutes
+ */
+function zoneTransitions(timeZone, from, to) {
+  const week = 7 * 24 * 60 * MINUTE;
+  const transitions = [];
+
+  for (let start = from; start < to; start += week) {
+    const end = Math.min(start + week, to);
+    const before = zoneOffset(start, timeZone);
+    const after = zoneOffset(end, timeZone);
+    if (before === after) continue;
+
+    let low = Math.floor(start / MINUTE);
+    let high = Math.floor(end / MINUTE);
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (zoneOffset(middle * MINUTE, timeZone) === before) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    transitions.push({ at: high * MINUTE, from: before, to: after });
+  }
+
+  return transitions;
+}
+
+/**
+ * VTIMEZONE component for the year around an event. Observances are
+ * listed as one-off changes rather than yearly rules, which is all a
+ * single event needs.
+ * @param {string} timeZone - IANA name
+ * @param {number} at - Event start, epoch milliseconds
+ * @returns {Array} Content lines
+ */
+function buildVTimezone(timeZone, at) {
+  const year = new Date(at).getUTCFullYear();
+  const from = Date.UTC(year - 1, 0, 1);
+  const to = Date.UTC(year + 1, 0, 1);
+
+  const initial = zoneOffset(from, timeZone);
+  const transitions = zoneTransitions(timeZone, from, to);
+  const standardOffset = Math.min(initial, ...transitions.map(transition => transition.to));
+
+  const observances = [{ start: '19700101T000000', from: initial, to: initial }]
+    .concat(transitions.map(transition => ({
+      // Local time as it was just before the change
+      start: formatIcsLocal(transition.at, transition.from),
+      from: transition.from,
+      to: transition.to
+    })));
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, `X-LIC-LOCATION:${timeZone}`];
+  observances.forEach(observance => {
+    const type = observance.to === standardOffset ? 'STANDARD' : 'DAYLIGHT';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${observance.start}`,
+      `TZOFFSETFROM:${formatIcsOffset(observance.from)}`,
+      `TZOFFSETTO:${formatIcsOffset(observance.to)}`,
+      `END:${type}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+}
+
+// ==========================================
+// CALENDAR EVENT
+// ==========================================
+
+class CalendarEvent {
+  /**
+   * @param {Object} details - { uid, start, duration (minutes), timeZone,
+   *   title, location, description, url, reminder (minutes) }
+   */
+  constructor(details) {
+    Object.assign(this, {
+      duration: CALENDAR_CONFIG.defaultDuration,
+      reminder: CALENDAR_CONFIG.reminder,
+      location: '',
+      description: '',
+      url: ''
+    }, details);
+    this.end = this.start + this.duration * MINUTE;
+  }
+
+  /**
+   * The event as an iCalendar file
+   * @param {number} now - Creation time (DTSTAMP), epoch milliseconds
+   * @returns {string} .ics content
+   */
+  toIcs(now = Date.now()) {
+    const local = at => formatIcsLocal(at, zoneOffset(at, this.timeZone));
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${CALENDAR_CONFIG.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...buildVTimezone(this.timeZone, this.start),
+      'BEGIN:VEVENT',
+      `UID:${this.uid}`,
+      `DTSTAMP:${formatIcsUtc(now)}`,
+      `DTSTART;TZID=${this.timeZone}:${local(this.start)}`,
+      `DTEND;TZID=${this.timeZone}:${local(this.end)}`,
+      `SUMMARY:${escapeIcsText(this.title)}`
+    ];
+
+    if (this.location) lines.push(`LOCATION:${escapeIcsText(this.location)}`);
+    if (this.description) lines.push(`DESCRIPTION:${escapeIcsText(this.description)}`);
+    if (this.url) lines.push(`URL:${this.url}`);
+
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(this.title)}`,
+      `TRIGGER:-${formatIcsDuration(this.reminder)}`,
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    );
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * @returns {string} Google Calendar "create event" link
+   */
+  toGoogleUrl() {
+    const params = new URLSearchParams({
+      action: 'TEMPLATE',
+      text: this.title,
+      dates: `${formatIcsUtc(this.start)}/${formatIcsUtc(this.end)}`,
+      ctz: this.timeZone,
+      details: this.fullDescription(),
+      location: this.location
+    });
+    return `${CALENDAR_CONFIG.URLS.google}?${params}`;
+  }
+
+  /**
+   * @returns {string} Outlook.com "new event" link
+   */
+  toOutlookUrl() {
+    const params = new URLSearchParams({
+      rru: 'addevent',
+      subject: this.title,
+      startdt: new Date(this.start).toISOString(),
+      enddt: new Date(this.end).toISOString(),
+      body: this.fullDescription(),
+      location: this.location
+    });
+    return `${CALENDAR_CONFIG.URLS.outlook}?${params}`;
+  }
+
+  /**
+   * Description plus the page link, for services without a URL field
+   * @returns {string} Description
+   */
+  fullDescription() {
+    return [this.description, this.url].filter(Boolean).join('\n\n');
+  }
+}
+
+// ==========================================
+// ADD TO CALENDAR CONTROL
+// ==========================================
+
+class AddToCalendar {
+  /**
+   * @param {CountdownTimer} countdownTimer - Countdown whose launch to offer
+   * @param {Object} events - Event bus
+   */
+  constructor(countdownTimer, events) {
+    this.countdownTimer = countdownTimer;
+    this.events = events;
+    this.control = document.querySelector(CALENDAR_CONFIG.SELECTORS.control);
+  }
+
+  /**
+   * Show the control once the countdown knows its launch, while the launch
+   * is still ahead
+   */
+  init() {
+    const schedule = this.countdownTimer.schedule;
+    if (!this.control || !schedule || this.countdownTimer.launched) return;
+
+    this.render();
+    this.control.hidden = false;
+
+    // Event details are translated along with the rest of the page
+    if (typeof i18n !== 'undefined' && i18n) {
+      i18n.onChange(() => this.render());
+    }
+
+    this.events.on('milestone:end', ({ index, total }) => {
+      if (index === total - 1) {
+        this.control.hidden = true;
+      }
+    });
+  }
+
+  /**
+   * @returns {CalendarEvent} The launch, as configured on the page
+   */
+  createEvent() {
+    const { schedule } = this.countdownTimer;
+    const { eventTitle, eventLocation, eventDescription, eventDuration } = this.control.dataset;
+    const launch = schedule.milestones[schedule.milestones.length - 1];
+    const page = window.location.protocol === 'file:' ? '' : window.location.origin + window.location.pathname;
+
+    return new CalendarEvent({
+      uid: `${launch.id}-${formatIcsUtc(launch.at)}@${window.location.hostname || 'crumble-bakery'}`,
+      start: launch.at,
+      duration: Number(eventDuration) || CALENDAR_CONFIG.defaultDuration,
+      timeZone: schedule.timeZone,
+      title: eventTitle || document.title,
+      location: eventLocation,
+      description: eventDescription,
+      url: page
+    });
+  }
+
+  /**
+   * Point the links at the current event details
+   */
+  render() {
+    const event = this.createEvent();
+    const ics = `data:text/calendar;charset=utf-8,${encodeURIComponent(event.toIcs())}`;
+    const hrefs = {
+      google: event.toGoogleUrl(),
+      outlook: event.toOutlookUrl(),
+      // Apple Calendar opens .ics files itself
+      apple: ics,
+      ics
+    };
+
+    this.control.querySelectorAll(CALENDAR_CONFIG.SELECTORS.links).forEach(link => {
+      const type = link.dataset.calendar;
+      link.href = hrefs[type];
+      if (type === 'apple' || type === 'ics') {
+        link.download = CALENDAR_CONFIG.fileName;
+      } else {
+        link.target = '_blank';
+        link.rel = 'noopener';
+      }
+    });
+  }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AddToCalendar,
+    CalendarEvent,
+    buildVTimezone,
+    zoneOffset,
+    CALENDAR_CONFIG
+  };
+}
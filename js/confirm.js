@@ -0,0 +1,147 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SUBSCRIPTION CONFIRMATION
+ * ==========================================
+ * 
+ * Drives confirm.html: sends the token from the emailed link to the
+ * API and renders the confirmed, expired, unsubscribed or invalid state
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const CONFIRM_CONFIG = {
+  endpoint: '/api/confirm',
+  timeout: 8000,
+  
+  SELECTORS: {
+    card: '#confirmationCard',
+    icon: '#confirmationIcon',
+    title: '#confirmationTitle',
+    text: '#confirmationText',
+    action: '#confirmationAction'
+  },
+  
+  // Copy and icon for each state
+  STATES: {
+    confirmed: {
+      icon: 'fas fa-check-circle',
+      title: 'You\'re confirmed!',
+      text: 'Thank you for joining us. We\'ll let you know the moment our ovens are warm.',
+      action: 'Back to Crumble Bakery'
+    },
+    expired: {
+      icon: 'fas fa-hourglass-end',
+      title: 'This link has expired',
+      text: 'Confirmation links are only valid for a short time. Sign up again and we\'ll send you a fresh one.',
+      action: 'Sign up again'
+    },
+    unsubscribed: {
+      icon: 'fas fa-envelope-open',
+      title: 'You\'ve unsubscribed',
+      text: 'This email was unsubscribed since the link was sent, so we haven\'t added it back. Sign up again if you\'d like to hear from us.',
+      action: 'Sign up again'
+    },
+    invalid: {
+      icon: 'fas fa-exclamation-circle',
+      title: 'We couldn\'t confirm this link',
+      text: 'The link may be incomplete or already replaced by a newer one. Try signing up again.',
+      action: 'Sign up again'
+    },
+    error: {
+      icon: 'fas fa-cloud',
+      title: 'Something went wrong',
+      text: 'We couldn\'t reach our servers. Please try the link again in a few minutes.',
+      action: 'Back to Crumble Bakery'
+    }
+  }
+};
+
+// ==========================================
+// CONFIRMATION PAGE
+// ==========================================
+
+class ConfirmationPage {
+  constructor() {
+    this.card = document.querySelector(CONFIRM_CONFIG.SELECTORS.card);
+    this.icon = document.querySelector(CONFIRM_CONFIG.SELECTORS.icon);
+    this.title = document.querySelector(CONFIRM_CONFIG.SELECTORS.title);
+    this.text = document.querySelector(CONFIRM_CONFIG.SELECTORS.text);
+    this.action = document.querySelector(CONFIRM_CONFIG.SELECTORS.action);
+  }
+
+  async init() {
+    if (!this.card) return;
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      this.render('invalid');
+      return;
+    }
+
+    this.render(await this.confirm(token));
+  }
+
+  /**
+   * Send the token to the API
+   * @param {string} token - Confirmation token
+   * @returns {Promise<string>} Resulting state
+   */
+  async confirm(token) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIRM_CONFIG.timeout);
+
+    try {
+      const response = await fetch(CONFIRM_CONFIG.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+        signal: controller.signal
+      });
+
+      if (response.ok) return 'confirmed';
+      if (response.status === 410) return 'expired';
+      if (response.status === 409) return 'unsubscribed';
+      if (response.status === 400 || response.status === 404) return 'invalid';
+      return 'error';
+    } catch (error) {
+      return 'error';
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Render a state
+   * @param {string} state - Key of CONFIRM_CONFIG.STATES
+   */
+  render(state) {
+    const copy = CONFIRM_CONFIG.STATES[state];
+
+    this.card.dataset.state = state;
+    this.icon.className = copy.icon;
+    this.title.textContent = copy.title;
+    this.text.textContent = copy.text;
+    this.action.textContent = copy.action;
+    this.action.hidden = false;
+
+    document.title = `${copy.title} - Crumble Bakery`;
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  const confirmationPage = new ConfirmationPage();
+  confirmationPage.init();
+});
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfirmationPage;
+}
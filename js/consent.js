@@ -0,0 +1,257 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - CONSENT
+ * ==========================================
+ *
+ * Remembers which optional categories (currently just analytics) the
+ * visitor agreed to, asks with a banner until they decide, and only runs
+ * non-essential scripts once their category is granted. Such scripts are
+ * included inert and switched on here:
+ *
+ *   <script type="text/plain" data-consent="analytics" data-src="..."></script>
+ *
+ * A decision is tied to the privacy notice version; the banner asks
+ * again when the notice changes.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const CONSENT_CONFIG = {
+  storageKey: 'crumbleBakery_consent',
+  // Optional categories; essential storage (the outbox, referral code)
+  // needs no consent
+  categories: ['analytics'],
+
+  SELECTORS: {
+    banner: '#consentBanner',
+    accept: '#consentAccept',
+    reject: '#consentReject',
+    settings: '[data-consent-settings]',
+    gatedScripts: 'script[type="text/plain"][data-consent]'
+  }
+};
+
+// ==========================================
+// CONSENT MANAGER
+// ==========================================
+
+class ConsentManager {
+  /**
+   * @param {Object} options - { noticeVersion, storage }
+   */
+  constructor(options = {}) {
+    this.noticeVersion = options.noticeVersion || null;
+    this.storage = options.storage || ConsentManager.openStorage();
+    this.listeners = new Set();
+  }
+
+  /**
+   * localStorage, or a memory store for this page load when the browser
+   * blocks it (reading window.localStorage itself throws then). The
+   * banner is shown again on the next visit.
+   * @returns {Storage} Storage
+   */
+  static openStorage() {
+    try {
+      if (window.localStorage) return window.localStorage;
+    } catch (error) {
+      // Storage blocked
+    }
+
+    const decisions = new Map();
+    return {
+      getItem: key => (decisions.has(key) ? decisions.get(key) : null),
+      setItem: (key, value) => decisions.set(key, String(value)),
+      removeItem: key => decisions.delete(key)
+    };
+  }
+
+  /**
+   * Stored decision, if it was made under the current notice
+   * @returns {Object|null} { version, choices, decidedAt }
+   */
+  read() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(CONSENT_CONFIG.storageKey));
+      if (!stored || stored.version !== this.noticeVersion) {
+        return null;
+      }
+      return stored;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the visitor has chosen yet
+   */
+  hasDecided() {
+    return this.read() !== null;
+  }
+
+  /**
+   * @param {string} category - Consent category
+   * @returns {boolean} Whether the category was granted
+   */
+  isGranted(category) {
+    const stored = this.read();
+    return Boolean(stored && stored.choices[category]);
+  }
+
+  /**
+   * Record a decision for some or all categories. Categories left out
+   * keep their previous choice (or are denied).
+   * @param {Object} choices - { analytics: boolean }
+   */
+  update(choices) {
+    const stored = this.read();
+    const next = {};
+    CONSENT_CONFIG.categories.forEach(category => {
+      next[category] = category in choices
+        ? Boolean(choices[category])
+        : Boolean(stored && stored.choices[category]);
+    });
+
+    try {
+      this.storage.setItem(CONSENT_CONFIG.storageKey, JSON.stringify({
+        version: this.noticeVersion,
+        choices: next,
+        decidedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.warn('Unable to store consent choice:', error);
+    }
+
+    this.loadGatedScripts();
+    this.listeners.forEach(listener => {
+      try {
+        listener(next);
+      } catch (error) {
+        console.error('Consent listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called with the choices after each update
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Run the inert scripts whose category has been granted. A script
+   * that already ran can't be stopped, so withdrawing consent is up to
+   * the script's onChange listener.
+   */
+  loadGatedScripts() {
+    document.querySelectorAll(CONSENT_CONFIG.SELECTORS.gatedScripts).forEach(placeholder => {
+      if (placeholder.dataset.consentLoaded || !this.isGranted(placeholder.dataset.consent)) {
+        return;
+      }
+
+      const script = document.createElement('script');
+      if (placeholder.dataset.src) {
+        script.src = placeholder.dataset.src;
+      } else {
+        script.textContent = placeholder.textContent;
+      }
+
+      placeholder.dataset.consentLoaded = 'true';
+      placeholder.after(script);
+    });
+  }
+}
+
+// ==========================================
+// CONSENT BANNER
+// ==========================================
+
+class ConsentBanner {
+  /**
+   * @param {ConsentManager} manager - Consent manager
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.banner = document.querySelector(CONSENT_CONFIG.SELECTORS.banner);
+    this.acceptButton = document.querySelector(CONSENT_CONFIG.SELECTORS.accept);
+    this.rejectButton = document.querySelector(CONSENT_CONFIG.SELECTORS.reject);
+
+    this.init();
+  }
+
+  /**
+   * Bind the buttons and show the banner until a choice is made
+   */
+  init() {
+    if (!this.banner) return;
+
+    this.acceptButton.addEventListener('click', () => this.choose(true));
+    this.rejectButton.addEventListener('click', () => this.choose(false));
+
+    // "Cookie settings" links reopen the banner
+    document.querySelectorAll(CONSENT_CONFIG.SELECTORS.settings).forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.show();
+      });
+    });
+
+    if (!this.manager.hasDecided()) {
+      this.show();
+    }
+  }
+
+  /**
+   * @param {boolean} granted - Whether optional categories are accepted
+   */
+  choose(granted) {
+    const choices = {};
+    CONSENT_CONFIG.categories.forEach(category => {
+      choices[category] = granted;
+    });
+
+    this.manager.update(choices);
+    this.hide();
+  }
+
+  show() {
+    this.banner.hidden = false;
+  }
+
+  hide() {
+    this.banner.hidden = true;
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+// Shared with the signup form, whose analytics checkbox is the same choice
+let consentManager = null;
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    consentManager = new ConsentManager({
+      noticeVersion: typeof FORM_CONFIG !== 'undefined' ? FORM_CONFIG.PRIVACY_NOTICE.version : null
+    });
+    consentManager.loadGatedScripts();
+    new ConsentBanner(consentManager);
+  });
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ConsentManager,
+    ConsentBanner,
+    CONSENT_CONFIG
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - EMAIL DOMAIN LISTS
+ * ==========================================
+ * 
+ * Bundled data for EmailClassifier. Update the arrays (and bump
+ * version) when new throwaway services appear, or merge extra entries
+ * at runtime with EmailClassifier.extendLists().
+ */
+
+'use strict';
+
+const EMAIL_DOMAIN_LISTS = {
+  version: '2026.10.1',
+  
+  // Throwaway / temporary inbox services (subdomains match too)
+  disposable: [
+    '10minutemail.com', '10minutemail.net', '20minutemail.com', '1secmail.com',
+    '1secmail.net', '1secmail.org', 'burnermail.io', 'discard.email',
+    'dispostable.com', 'dropmail.me', 'emailfake.com', 'emailondeck.com',
+    'fakeinbox.com', 'getairmail.com', 'getnada.com', 'grr.la',
+    'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de',
+    'guerrillamail.net', 'guerrillamail.org', 'harakirimail.com',
+    'inboxbear.com', 'jetable.org', 'mailcatch.com', 'maildrop.cc',
+    'mailinator.com', 'mailinator.net', 'mailinator2.com', 'mailnesia.com',
+    'mailpoof.com', 'mintemail.com', 'mohmal.com', 'moakt.com',
+    'mytemp.email', 'nada.email', 'pokemail.net', 'sharklasers.com',
+    'spam4.me', 'spambox.us', 'spamgourmet.com', 'temp-mail.org',
+    'tempail.com', 'tempinbox.com', 'tempmail.com', 'tempmailo.com',
+    'tempr.email', 'throwawaymail.com', 'tmpmail.net', 'tmpmail.org',
+    'trashmail.com', 'trashmail.de', 'wegwerfmail.de', 'yopmail.com',
+    'yopmail.fr', 'yopmail.net'
+  ],
+  
+  // Consumer mailbox providers
+  freeProviders: [
+    '126.com', '163.com', 'aol.com', 'att.net', 'btinternet.com',
+    'comcast.net', 'fastmail.com', 'free.fr', 'gmail.com', 'gmx.com',
+    'gmx.de', 'gmx.net', 'googlemail.com', 'hey.com', 'hotmail.co.uk',
+    'hotmail.com', 'hotmail.de', 'hotmail.fr', 'icloud.com', 'inbox.com',
+    'laposte.net', 'libero.it', 'live.com', 'live.co.uk', 'mac.com',
+    'mail.com', 'mail.ru', 'me.com', 'msn.com', 'naver.com', 'orange.fr',
+    'outlook.com', 'outlook.de', 'pm.me', 'proton.me', 'protonmail.com',
+    'qq.com', 'rediffmail.com', 'rocketmail.com', 'sbcglobal.net', 'sky.com',
+    't-online.de', 'tutanota.com', 'verizon.net', 'virginmedia.com',
+    'web.de', 'yahoo.co.uk', 'yahoo.com', 'yahoo.de', 'yahoo.fr',
+    'yandex.com', 'yandex.ru', 'ymail.com', 'zoho.com'
+  ],
+  
+  // Local parts that belong to a function rather than a person
+  roleLocalParts: [
+    'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers',
+    'contact', 'customerservice', 'do-not-reply', 'donotreply', 'enquiries',
+    'feedback', 'help', 'hostmaster', 'hr', 'info', 'inquiries', 'jobs',
+    'mail', 'marketing', 'media', 'newsletter', 'no-reply', 'noreply',
+    'office', 'orders', 'postmaster', 'press', 'root', 'sales', 'security',
+    'service', 'support', 'team', 'webmaster'
+  ]
+};
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EMAIL_DOMAIN_LISTS;
+}
@@ -0,0 +1,251 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - EXPERIMENTS
+ * ==========================================
+ *
+ * A/B tests of the launch page's copy and layout. Each experiment's
+ * variants are markup already in the page, marked with the experiment
+ * and the variants it belongs to (space separated); everything but the
+ * visitor's variant is hidden before the loading screen lifts:
+ *
+ *   <span data-experiment="cta" data-variant="saveSpot" hidden>Save My Spot</span>
+ *
+ * A visitor's variant is picked by weight from a hash of a random id kept
+ * in localStorage, and remembered, so they see the same page on every
+ * visit even if the weights change. Nothing here leaves the browser: the
+ * exposure and conversion events go to the app's event bus, and
+ * js/analytics.js only records them with consent.
+ *
+ * ?variant=cta:saveSpot (comma separated for several) forces a variant for
+ * QA; forced experiments are not counted.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const EXPERIMENTS_CONFIG = {
+  storageKey: 'crumbleBakery_experiments',
+  param: 'variant',
+
+  // Experiment -> variants with relative weights
+  experiments: {
+    headline: [
+      { id: 'control', weight: 2 },     // "Something Sweet is Coming"
+      { id: 'almostHere', weight: 1 },  // "Fresh Bakes Are Almost Here"
+      { id: 'favourite', weight: 1 }    // "Your New Favourite Bakery Opens Soon"
+    ],
+    cta: [
+      { id: 'control', weight: 1 },     // "Notify Me"
+      { id: 'saveSpot', weight: 1 }     // "Save My Spot"
+    ],
+    features: [
+      { id: 'shown', weight: 1 },
+      { id: 'hidden', weight: 1 }
+    ]
+  },
+
+  SELECTORS: {
+    variants: '[data-experiment]'
+  }
+};
+
+/**
+ * FNV-1a hash of a string, as a fraction in [0, 1)
+ * @param {string} value - Input
+ * @returns {number} Fraction
+ */
+function hashToUnit(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+// ==========================================
+// EXPERIMENTS
+// ==========================================
+
+class Experiments {
+  /**
+   * @param {Object} events - App event bus for exposures and conversions
+   * @param {Object} config - See EXPERIMENTS_CONFIG
+   * @param {Storage} storage - Where the visitor's id and variants are kept
+   *   (localStorage by default)
+   */
+  constructor(events, config = EXPERIMENTS_CONFIG, storage = null) {
+    this.events = events;
+    this.config = config;
+    this.storage = storage || Experiments.openStorage();
+    // experiment -> { variant, forced }
+    this.assignments = {};
+    this.converted = false;
+  }
+
+  /**
+   * localStorage, or a memory store when the browser blocks it and
+   * reading window.localStorage throws. The visitor is then bucketed
+   * afresh on each visit.
+   * @returns {Storage} Storage
+   */
+  static openStorage() {
+    try {
+      if (window.localStorage) return window.localStorage;
+    } catch (error) {
+      // Storage blocked
+    }
+
+    const values = new Map();
+    return {
+      getItem: key => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value))
+    };
+  }
+
+  /**
+   * Assign every experiment, show the variants and announce them
+   */
+  init() {
+    const forced = this.readOverrides();
+    const stored = this.load();
+
+    Object.entries(this.config.experiments).forEach(([experiment, variants]) => {
+      const isVariant = id => variants.some(variant => variant.id === id);
+
+      if (forced[experiment]) {
+        this.assignments[experiment] = { variant: forced[experiment], forced: true };
+        return;
+      }
+
+      const remembered = stored.variants[experiment];
+      const variant = isVariant(remembered) ? remembered : this.bucket(stored.visitorId, experiment, variants);
+      stored.variants[experiment] = variant;
+      this.assignments[experiment] = { variant, forced: false };
+    });
+
+    this.save(stored);
+    this.apply();
+
+    this.exposures().forEach(exposure => this.events.emit('experiment:exposure', exposure));
+    this.events.on('form:submitted', () => this.convert());
+  }
+
+  /**
+   * ?variant=experiment:variant pairs, checked against the config
+   * @returns {Object} experiment -> variant
+   */
+  readOverrides() {
+    const overrides = {};
+    const param = new URLSearchParams(window.location.search).get(this.config.param);
+    if (!param) return overrides;
+
+    param.split(',').forEach(pair => {
+      const [experiment, variant] = pair.split(':').map(part => part.trim());
+      const variants = this.config.experiments[experiment];
+      if (variants && variants.some(option => option.id === variant)) {
+        overrides[experiment] = variant;
+      } else {
+        console.warn(`Unknown experiment variant "${pair}", ignoring it`);
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * @returns {Object} { visitorId, variants }, with a new id if none is stored
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(this.storage.getItem(this.config.storageKey));
+    } catch (error) {
+      // Nothing stored, or storage unavailable
+    }
+
+    if (!stored || typeof stored.visitorId !== 'string') {
+      const visitorId = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : Math.random().toString(36).slice(2) + Date.now().toString(36);
+      return { visitorId, variants: {} };
+    }
+    return { visitorId: stored.visitorId, variants: stored.variants || {} };
+  }
+
+  save(stored) {
+    try {
+      this.storage.setItem(this.config.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      // Without storage the visitor is bucketed afresh on each visit
+    }
+  }
+
+  /**
+   * Pick a variant by weight. The same visitor always lands in the same
+   * place, and each experiment is bucketed independently.
+   * @param {string} visitorId - Visitor id
+   * @param {string} experiment - Experiment id
+   * @param {Array<Object>} variants - { id, weight }
+   * @returns {string} Variant id
+   */
+  bucket(visitorId, experiment, variants) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = hashToUnit(`${experiment}:${visitorId}`) * total;
+
+    for (const variant of variants) {
+      point -= variant.weight;
+      if (point < 0) return variant.id;
+    }
+    return variants[variants.length - 1].id;
+  }
+
+  /**
+   * Show the markup for each assigned variant and hide the rest
+   */
+  apply() {
+    document.querySelectorAll(this.config.SELECTORS.variants).forEach(element => {
+      const assignment = this.assignments[element.dataset.experiment];
+      if (!assignment) return;
+
+      element.hidden = !(element.dataset.variant || '').split(/\s+/).includes(assignment.variant);
+    });
+  }
+
+  /**
+   * @returns {Array<Object>} { experiment, variant } the visitor was shown,
+   *   leaving out forced ones
+   */
+  exposures() {
+    return Object.entries(this.assignments)
+      .filter(([, assignment]) => !assignment.forced)
+      .map(([experiment, { variant }]) => ({ experiment, variant }));
+  }
+
+  /**
+   * Credit the visitor's variants with a signup, once per page load
+   */
+  convert() {
+    if (this.converted) return;
+    this.converted = true;
+    this.exposures().forEach(exposure => this.events.emit('experiment:conversion', exposure));
+  }
+
+  /**
+   * @param {string} experiment - Experiment id
+   * @returns {string|null} The visitor's variant
+   */
+  variant(experiment) {
+    return this.assignments[experiment] ? this.assignments[experiment].variant : null;
+  }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Experiments,
+    EXPERIMENTS_CONFIG
+  };
+}
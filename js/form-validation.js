@@ -17,141 +17,931 @@ const FORM_CONFIG = {
   // Form elements
   SELECTORS: {
     form: '#emailForm',
-    emailInput: '#email',
     submitButton: '#submitBtn',
-    errorMessage: '#emailError',
+    honeypot: '#website',
+    suggestion: '#emailSuggestion',
+    warning: '#emailWarning',
     successMessage: '#successMessage',
+    queuedMessage: '#queuedMessage',
     buttonText: '.btn-text',
     buttonLoading: '.btn-loading'
   },
   
+  // Signup fields. Each declares its type ('email', 'text' or 'checkbox'),
+  // whether it is required, its validators (see FIELD_VALIDATORS) and the
+  // message for each validator. Errors render into #<name>Error, which the
+  // input references through aria-describedby.
+  FIELDS: [
+    {
+      name: 'email',
+      type: 'email',
+      selector: '#email',
+      required: true,
+      messages: {
+        required: 'Please enter your email address'
+      }
+    },
+    {
+      name: 'firstName',
+      type: 'text',
+      selector: '#firstName',
+      required: false,
+      validators: [
+        { type: 'maxLength', value: 50 },
+        { type: 'pattern', value: /^[\p{L}\p{M}' .-]+$/u }
+      ],
+      messages: {
+        required: 'Please tell us your first name',
+        maxLength: 'Please keep your first name under 50 characters',
+        pattern: 'Please use letters only in your first name'
+      }
+    },
+    {
+      name: 'postcode',
+      type: 'text',
+      selector: '#postcode',
+      required: false,
+      normalize: value => value.toUpperCase().replace(/\s+/g, ' '),
+      validators: [
+        { type: 'pattern', value: /^[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/ }
+      ],
+      messages: {
+        required: 'Please enter your postcode',
+        pattern: 'Please enter a valid postcode'
+      }
+    },
+    {
+      name: 'interests',
+      type: 'checkbox',
+      selector: 'input[name="interests"]',
+      required: false,
+      options: ['bread', 'pastries', 'cakes', 'coffee'],
+      messages: {
+        required: 'Please pick at least one thing you\'re excited about',
+        oneOf: 'Please pick from the listed options'
+      }
+    },
+    {
+      // Recorded with the notice version and wording (see consentRecord())
+      // rather than stored as part of the profile
+      name: 'consent',
+      type: 'checkbox',
+      selector: 'input[name="consent"]',
+      required: true,
+      options: ['marketing', 'analytics'],
+      validators: [
+        { type: 'includes', value: 'marketing' }
+      ],
+      messages: {
+        required: 'Please agree to receive our launch emails',
+        includes: 'Please agree to receive our launch emails',
+        oneOf: 'Please pick from the listed options',
+        noticeVersion: 'Our privacy notice has changed. Please reload the page and try again.'
+      }
+    }
+  ],
+
+  // Version of privacy.html the consent checkboxes link to. Bump it
+  // together with the notice so new consents record the new version.
+  PRIVACY_NOTICE: {
+    version: '2026-10-01',
+    url: './privacy.html'
+  },
+  
   // Validation settings
   VALIDATION: {
-    emailRegex: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
+    // RFC 6531: UTF-8 local parts and Unicode (IDN) domain labels
+    emailRegex: /^[\p{L}\p{M}\p{N}.!#$%&'*+/=?^_`{|}~-]+@[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}-]{0,61}[\p{L}\p{M}\p{N}])?(?:\.[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}-]{0,61}[\p{L}\p{M}\p{N}])?)*$/u,
     minLength: 5,
     maxLength: 254,
-    debounceDelay: 300
+    debounceDelay: 300,
+    // Max edit distance for "Did you mean…?" domain suggestions
+    suggestionThreshold: 2,
+    // What to do with each address class: 'allow', 'warn' or 'block'
+    classPolicy: {
+      disposable: 'block',
+      role: 'warn',
+      freeProvider: 'allow',
+      corporate: 'allow'
+    }
   },
   
   // Messages
   MESSAGES: {
     required: 'Please enter your email address',
     invalid: 'Please enter a valid email address',
+    invalidField: 'Please check this field',
+    unreachableDomain: 'We couldn\'t find a mail server for this domain. Please check the address.',
+    homograph: 'This domain mixes different alphabets, a trick often used to imitate other sites. Please check the address.',
     tooShort: 'Email address is too short',
     tooLong: 'Email address is too long',
     submitting: 'Subscribing...',
-    success: 'Thank you! We\'ll notify you when we launch.',
+    submitLabel: 'Subscribe to notifications',
+    success: 'Almost there! Check your inbox to confirm your subscription.',
     networkError: 'Network error. Please try again.',
     serverError: 'Something went wrong. Please try again later.',
     alreadySubscribed: 'You\'re already subscribed! We\'ll be in touch soon.',
-    rateLimited: 'Too many attempts. Please try again in a few minutes.'
+    rateLimited: 'Too many attempts. Please try again in a few minutes.',
+    rateLimitedCountdown: 'Too many attempts. Try again in {time}.',
+    suggestion: 'Did you mean {suggestion}?',
+    // Address classes: refused ('block') and allowed with a nudge ('warn')
+    disposableEmail: 'Temporary email addresses can\'t be used. Please use an address you check regularly.',
+    disposableEmailWarning: 'This looks like a temporary address. Launch news may not reach you once it expires.',
+    roleEmailBlocked: 'Shared addresses (like info@) can\'t be used. Please use a personal address.',
+    roleEmail: 'This looks like a shared address (like info@). Launch news works best in a personal inbox.',
+    freeProviderEmail: 'Personal email addresses aren\'t accepted here. Please use your work address.',
+    freeProviderEmailWarning: 'This looks like a personal address. If you can, please use your work address.',
+    corporateEmail: 'Work email addresses aren\'t accepted here. Please use a personal address.',
+    corporateEmailWarning: 'This looks like a work address. If you can, please use a personal address.',
+    queuedOffline: 'You\'re offline right now. We\'ll finish subscribing you when you\'re back online.',
+    queuedRetry: 'We couldn\'t reach our servers. We\'ll keep trying and finish subscribing you shortly.',
+    // Screen reader announcements
+    submittingAnnouncement: 'Submitting your email...',
+    fixErrors: 'Please fix the errors before submitting',
+    emailChanged: 'Email changed to {email}',
+    errorAnnouncement: 'Error: {message}',
+    waitlistPosition: 'You\'re #{position, number} on the list.'
+  },
+  
+  // Subscription API
+  API: {
+    endpoint: '/api/subscribe',
+    // Async "can this domain receive mail?" rule (HTTP transport only)
+    domainCheckEndpoint: '/api/domain-check',
+    timeout: 8000,
+    // 'http' talks to the backend, 'mock' simulates it in localStorage and
+    // 'auto' falls back to mock when the page is opened straight from disk.
+    // Can be overridden with ?transport=mock|http for demos.
+    transport: 'auto',
+    mockFailureRate: 0.05,
+    // People the mock waitlist pretends are already in line
+    mockWaitlistSize: 481
   },
   
   // Timing
   TIMING: {
-    submitDelay: 1500, // Simulate network delay
+    submitDelay: 1500, // Mock transport latency
     successDisplayTime: 5000,
     errorDisplayTime: 4000
   }
 };
 
 // ==========================================
-// EMAIL VALIDATOR CLASS
+// TRANSLATED COPY
 // ==========================================
 
-class EmailValidator {
-  constructor() {
-    this.config = FORM_CONFIG.VALIDATION;
+/**
+ * Form copy in the visitor's language (js/i18n.js catalogs, under
+ * "form."), falling back to the English in FORM_CONFIG.MESSAGES. The
+ * server has no i18n and always gets the English.
+ * @param {string} key - FORM_CONFIG.MESSAGES key
+ * @param {Object} params - Message arguments
+ * @returns {string} Message
+ */
+function formMessage(key, params = {}) {
+  const english = FORM_CONFIG.MESSAGES[key];
+  if (typeof i18n !== 'undefined' && i18n) {
+    return i18n.t(`form.${key}`, params, english);
+  }
+  return english.replace(/\{(\w+)(?:, number)?\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * A field's own message for a failed validator, translated under
+ * "form.fields.<name>.<type>"
+ * @param {Object} field - Field schema
+ * @param {string} type - Validator type (or "required")
+ * @returns {string|null} Message, if the field has one
+ */
+function fieldMessage(field, type) {
+  const english = field.messages && field.messages[type];
+  if (!english) return null;
+
+  if (typeof i18n !== 'undefined' && i18n) {
+    return i18n.t(`form.fields.${field.name}.${type}`, {}, english);
+  }
+  return english;
+}
+
+// ==========================================
+// EMAIL SUGGESTION ENGINE
+// ==========================================
+
+const EMAIL_SUGGESTION_DATA = {
+  // Full domains people commonly mistype
+  domains: [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+    'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me',
+    'gmx.com', 'gmx.de', 'mail.com', 'comcast.net', 'verizon.net', 'att.net',
+    'sbcglobal.net', 'btinternet.com'
+  ],
+  
+  // Second-level names, for domains on a TLD not listed above
+  secondLevelDomains: [
+    'gmail', 'yahoo', 'hotmail', 'outlook', 'live', 'icloud', 'aol',
+    'protonmail', 'gmx', 'comcast', 'verizon'
+  ],
+  
+  topLevelDomains: [
+    'com', 'net', 'org', 'edu', 'gov', 'info', 'biz', 'io', 'co', 'me',
+    'co.uk', 'org.uk', 'ac.uk', 'uk', 'ca', 'us', 'de', 'fr', 'es', 'it',
+    'nl', 'be', 'ch', 'at', 'ie', 'au', 'com.au', 'nz', 'co.nz', 'jp', 'in'
+  ]
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions, so "gmial" is one edit from "gmail")
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+  for (let j = 1; j < cols; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+class EmailSuggestionEngine {
+  constructor(data = EMAIL_SUGGESTION_DATA) {
+    this.data = data;
+    this.threshold = FORM_CONFIG.VALIDATION.suggestionThreshold;
   }
 
   /**
-   * Validate email address
-   * @param {string} email - Email to validate
-   * @returns {Object} Validation result with isValid and message
+   * Suggest a corrected address for a likely domain typo
+   * @param {string} email - Email as typed
+   * @returns {Object|null} { domain, full } or null when nothing looks off
    */
-  validate(email) {
-    // Check if email is provided
-    if (!email || email.trim() === '') {
-      return {
-        isValid: false,
-        message: FORM_CONFIG.MESSAGES.required
-      };
+  suggest(email) {
+    const parts = (email || '').trim().split('@');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      return null;
     }
 
-    // Trim whitespace
-    email = email.trim();
+    const [local, typedDomain] = parts;
+    const domain = typedDomain.toLowerCase();
 
-    // Check length
-    if (email.length < this.config.minLength) {
-      return {
-        isValid: false,
-        message: FORM_CONFIG.MESSAGES.tooShort
-      };
+    if (this.data.domains.includes(domain)) {
+      return null;
     }
 
-    if (email.length > this.config.maxLength) {
-      return {
-        isValid: false,
-        message: FORM_CONFIG.MESSAGES.tooLong
-      };
-    }
+    const closest = this.findClosest(domain, this.data.domains);
 
-    // Check format using regex
-    if (!this.config.emailRegex.test(email)) {
-      return {
-        isValid: false,
-        message: FORM_CONFIG.MESSAGES.invalid
-      };
+    // A known provider on a known TLD (gmx.net) is only questioned when it
+    // is a single edit away from a listed domain (gmail.co -> gmail.com)
+    if (this.isKnownCombination(domain) && (!closest || editDistance(domain, closest) > 1)) {
+      return null;
     }
 
-    // Additional validation checks
-    if (!this.validateEmailStructure(email)) {
-      return {
-        isValid: false,
-        message: FORM_CONFIG.MESSAGES.invalid
-      };
+    const corrected = closest || this.correctParts(domain);
+    if (!corrected || corrected === domain) {
+      return null;
     }
 
     return {
-      isValid: true,
-      message: 'Valid email address'
+      domain: corrected,
+      full: `${local}@${corrected}`
     };
   }
 
   /**
-   * Additional email structure validation
-   * @param {string} email - Email to validate
-   * @returns {boolean} Is structure valid
+   * Whether the domain is a known second-level name on a known TLD
+   * @param {string} domain - Lowercased domain
+   * @returns {boolean} Is known
    */
-  validateEmailStructure(email) {
-    // Check for multiple @ symbols
-    if ((email.match(/@/g) || []).length !== 1) {
-      return false;
+  isKnownCombination(domain) {
+    const dot = domain.indexOf('.');
+    return dot !== -1 &&
+      this.data.secondLevelDomains.includes(domain.slice(0, dot)) &&
+      this.data.topLevelDomains.includes(domain.slice(dot + 1));
+  }
+
+  /**
+   * Fix the second-level name and TLD separately, e.g. "yahooo.de"
+   * @param {string} domain - Lowercased domain
+   * @returns {string|null} Corrected domain
+   */
+  correctParts(domain) {
+    const dot = domain.indexOf('.');
+    if (dot === -1) {
+      return null;
     }
 
-    // Split into local and domain parts
-    const [local, domain] = email.split('@');
+    const secondLevel = domain.slice(0, dot);
+    const topLevel = domain.slice(dot + 1);
 
-    // Validate local part
-    if (!this.validateLocalPart(local)) {
-      return false;
+    const knownTld = this.data.topLevelDomains.includes(topLevel);
+    const tld = knownTld ? topLevel : this.findClosest(topLevel, this.data.topLevelDomains, 1);
+    const sld = this.data.secondLevelDomains.includes(secondLevel)
+      ? secondLevel
+      : this.findClosest(secondLevel, this.data.secondLevelDomains);
+
+    // Only touch the TLD of unknown domains, never rewrite a corporate name
+    if (sld) {
+      return `${sld}.${tld || topLevel}`;
     }
+    return tld && !knownTld ? `${secondLevel}.${tld}` : null;
+  }
 
-    // Validate domain part
-    if (!this.validateDomainPart(domain)) {
-      return false;
+  /**
+   * Closest candidate within the edit distance threshold
+   * @param {string} value - Value to match
+   * @param {Array<string>} candidates - Known good values
+   * @param {number} maxDistance - Threshold override
+   * @returns {string|null} Best candidate
+   */
+  findClosest(value, candidates, maxDistance = this.threshold) {
+    // Short strings need a tighter threshold to avoid silly matches
+    const limit = value.length <= 4 ? Math.min(1, maxDistance) : maxDistance;
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+      const distance = editDistance(value, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return bestDistance > 0 && bestDistance <= limit ? best : null;
+  }
+}
+
+// ==========================================
+// INTERNATIONALIZED ADDRESSES
+// ==========================================
+
+/**
+ * IDNA helpers: a global in the browser (js/idn.js), a module under Node.
+ * Without them only ASCII domains are accepted.
+ * @returns {Object} IDN helpers
+ */
+function loadIdn() {
+  if (typeof IDN !== 'undefined') {
+    return IDN;
+  }
+  if (typeof require === 'function') {
+    return require('./idn.js');
+  }
+  return {
+    toASCII: domain => (/[\u0080-\uffff]/.test(domain) ? null : domain.toLowerCase()),
+    toUnicode: domain => domain,
+    isHomograph: () => false
+  };
+}
+
+/**
+ * Length of a string in UTF-8 octets (RFC 5321 limits are in octets)
+ * @param {string} value - String
+ * @returns {number} Byte length
+ */
+function utf8Length(value) {
+  return new TextEncoder().encode(value).length;
+}
+
+// ==========================================
+// EMAIL CLASSIFIER
+// ==========================================
+
+/**
+ * Bundled domain lists: a global in the browser (js/email-domain-lists.js),
+ * a module when the validator runs under Node
+ * @returns {Object} Domain lists
+ */
+function loadEmailDomainLists() {
+  if (typeof EMAIL_DOMAIN_LISTS !== 'undefined') {
+    return EMAIL_DOMAIN_LISTS;
+  }
+  if (typeof require === 'function') {
+    return require('./email-domain-lists.js');
+  }
+  return { disposable: [], freeProviders: [], roleLocalParts: [] };
+}
+
+// Address class -> message key for each classPolicy action
+const EMAIL_CLASS_MESSAGES = {
+  disposable: { block: 'disposableEmail', warn: 'disposableEmailWarning' },
+  role: { block: 'roleEmailBlocked', warn: 'roleEmail' },
+  freeProvider: { block: 'freeProviderEmail', warn: 'freeProviderEmailWarning' },
+  corporate: { block: 'corporateEmail', warn: 'corporateEmailWarning' }
+};
+
+class EmailClassifier {
+  constructor(lists = loadEmailDomainLists()) {
+    this.disposable = new Set();
+    this.freeProviders = new Set();
+    this.roleLocalParts = new Set();
+    this.extendLists(lists);
+  }
+
+  /**
+   * Merge extra entries into the lists (e.g. a fresher disposable list)
+   * @param {Object} lists - { disposable, freeProviders, roleLocalParts }
+   */
+  extendLists(lists) {
+    (lists.disposable || []).forEach(domain => this.disposable.add(domain.toLowerCase()));
+    (lists.freeProviders || []).forEach(domain => this.freeProviders.add(domain.toLowerCase()));
+    (lists.roleLocalParts || []).forEach(local => this.roleLocalParts.add(local.toLowerCase()));
+  }
+
+  /**
+   * Classify an address
+   * @param {string} email - Valid email address
+   * @returns {string} 'disposable', 'role', 'freeProvider' or 'corporate'
+   */
+  classify(email) {
+    const [local, domain] = email.trim().toLowerCase().split('@');
+
+    if (this.isDisposableDomain(domain)) {
+      return 'disposable';
+    }
+
+    // Ignore sub-addressing: info+launch@ is still info@
+    if (this.roleLocalParts.has(local.split('+')[0])) {
+      return 'role';
+    }
+
+    if (this.freeProviders.has(domain)) {
+      return 'freeProvider';
+    }
+
+    return 'corporate';
+  }
+
+  /**
+   * Check a domain and its parent domains (x.mailinator.com)
+   * @param {string} domain - Lowercased domain
+   * @returns {boolean} Is disposable
+   */
+  isDisposableDomain(domain) {
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (this.disposable.has(labels.slice(i).join('.'))) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+// ==========================================
+// VALIDATION RULE PIPELINE
+// ==========================================
+
+/**
+ * A rule is a plain object:
+ *
+ *   {
+ *     name: 'homograph',          // unique, used to order/disable it
+ *     severity: 'error',          // default severity of its issues
+ *     async: false,               // async rules run after every sync rule passed
+ *     run(context, { signal }) {  // return null, an issue or an array of issues
+ *       return { code: 'homograph', message: '…' };
+ *     }
+ *   }
+ *
+ * Rules share a context ({ input, email, local, domain, normalized, ... })
+ * and may add to it for the rules after them. The first error stops the
+ * run; warnings and info issues don't.
+ */
+const VALIDATION_SEVERITIES = ['error', 'warning', 'info'];
+
+class ValidationPipeline {
+  constructor(rules = []) {
+    this.rules = [];
+    rules.forEach(rule => this.register(rule));
+  }
+
+  /**
+   * Add a rule, at the end or next to an existing one
+   * @param {Object} rule - Rule definition
+   * @param {Object} position - { before: name } or { after: name }
+   * @returns {ValidationPipeline} This pipeline
+   */
+  register(rule, { before, after } = {}) {
+    if (!rule || !rule.name || typeof rule.run !== 'function') {
+      throw new TypeError('A validation rule needs a name and a run() function');
+    }
+    if (this.getRule(rule.name)) {
+      throw new Error(`Validation rule "${rule.name}" is already registered`);
+    }
+
+    const entry = { severity: 'error', async: false, enabled: true, ...rule };
+    const anchor = before || after;
+    let index = this.rules.length;
+
+    if (anchor) {
+      index = this.rules.findIndex(existing => existing.name === anchor);
+      if (index === -1) {
+        throw new Error(`Unknown validation rule "${anchor}"`);
+      }
+      if (after) index += 1;
     }
 
+    this.rules.splice(index, 0, entry);
+    return this;
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} name - Rule name
+   * @returns {boolean} Whether a rule was removed
+   */
+  unregister(name) {
+    const index = this.rules.findIndex(rule => rule.name === name);
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
     return true;
   }
 
+  /**
+   * Look up a rule
+   * @param {string} name - Rule name
+   * @returns {Object|undefined} Rule
+   */
+  getRule(name) {
+    return this.rules.find(rule => rule.name === name);
+  }
+
+  /**
+   * Turn a rule on or off without removing it
+   * @param {string} name - Rule name
+   * @param {boolean} enabled - Whether the rule runs
+   */
+  setEnabled(name, enabled) {
+    const rule = this.getRule(name);
+    if (!rule) {
+      throw new Error(`Unknown validation rule "${name}"`);
+    }
+    rule.enabled = enabled;
+  }
+
+  enable(name) {
+    this.setEnabled(name, true);
+  }
+
+  disable(name) {
+    this.setEnabled(name, false);
+  }
+
+  /**
+   * Whether any enabled async rule is registered
+   * @returns {boolean} Has async rules
+   */
+  hasAsyncRules() {
+    return this.rules.some(rule => rule.enabled && rule.async);
+  }
+
+  /**
+   * Run the enabled synchronous rules in order
+   * @param {Object} context - Shared validation context
+   * @returns {Array<Object>} Issues ({ rule, code, severity, message })
+   */
+  run(context) {
+    const issues = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled || rule.async) continue;
+
+      if (this.collect(rule, rule.run(context, {}), issues)) break;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Run the enabled async rules in order
+   * @param {Object} context - Context from a passing synchronous run
+   * @param {Object} options - { signal } to cancel the run
+   * @returns {Promise<Array<Object>>} Issues
+   */
+  async runAsync(context, { signal } = {}) {
+    const issues = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled || !rule.async) continue;
+
+      throwIfAborted(signal);
+      const outcome = await rule.run(context, { signal });
+      throwIfAborted(signal);
+
+      if (this.collect(rule, outcome, issues)) break;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Normalize what a rule returned and add it to the list
+   * @param {Object} rule - Rule that ran
+   * @param {Object|Array|null} outcome - Rule return value
+   * @param {Array<Object>} issues - Issues so far
+   * @returns {boolean} Whether an error was found (stop the run)
+   */
+  collect(rule, outcome, issues) {
+    let failed = false;
+
+    [].concat(outcome || []).forEach(issue => {
+      const severity = issue.severity || rule.severity;
+      if (!VALIDATION_SEVERITIES.includes(severity)) {
+        throw new Error(`Validation rule "${rule.name}" returned unknown severity "${severity}"`);
+      }
+
+      issues.push({ rule: rule.name, ...issue, severity });
+      failed = failed || severity === 'error';
+    });
+
+    return failed;
+  }
+}
+
+/**
+ * Throw the standard AbortError once a signal has fired
+ * @param {AbortSignal} signal - Optional signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Validation was cancelled', 'AbortError');
+  }
+}
+
+/**
+ * Shorthand for a rule result using a FORM_CONFIG.MESSAGES entry
+ * @param {string} code - Machine-readable code
+ * @param {string} messageKey - FORM_CONFIG.MESSAGES key
+ * @returns {Object} Issue
+ */
+function validationIssue(code, messageKey) {
+  return { code, message: formMessage(messageKey) };
+}
+
+/**
+ * Built-in address rules, in the order they run. Each reads what the
+ * rules before it established (an address that passed "format" has an @).
+ * @param {EmailValidator} validator - Validator owning the helpers
+ * @returns {Array<Object>} Rules
+ */
+function createDefaultEmailRules(validator) {
+  const config = validator.config;
+
+  return [
+    {
+      name: 'required',
+      run: ({ email }) => (email ? null : validationIssue('required', 'required'))
+    },
+    {
+      name: 'length',
+      run: ({ email }) => {
+        if (email.length < config.minLength) return validationIssue('too_short', 'tooShort');
+        if (email.length > config.maxLength) return validationIssue('too_long', 'tooLong');
+        return null;
+      }
+    },
+    {
+      name: 'format',
+      run: ({ email }) => {
+        if (!config.emailRegex.test(email) || (email.match(/@/g) || []).length !== 1) {
+          return validationIssue('invalid_format', 'invalid');
+        }
+        return null;
+      }
+    },
+    {
+      name: 'localPart',
+      run: ({ local }) => (validator.validateLocalPart(local) ? null : validationIssue('invalid_local_part', 'invalid'))
+    },
+    {
+      name: 'domainPart',
+      run: ({ domain }) => (validator.validateDomainPart(domain) ? null : validationIssue('invalid_domain', 'invalid'))
+    },
+    {
+      // Length limits apply to the punycode form
+      name: 'encodedLength',
+      run: (context) => {
+        context.normalized = validator.normalizeAddress(context.email);
+        return utf8Length(context.normalized.ascii) > config.maxLength ? validationIssue('too_long', 'tooLong') : null;
+      }
+    },
+    {
+      name: 'homograph',
+      run: ({ normalized }) => (
+        validator.idn.isHomograph(normalized.display.split('@')[1]) ? validationIssue('homograph', 'homograph') : null
+      )
+    },
+    {
+      // Severity comes from FORM_CONFIG.VALIDATION.classPolicy
+      name: 'classPolicy',
+      run: (context) => {
+        const classification = validator.classifier.classify(context.normalized.ascii);
+        const action = config.classPolicy[classification] || 'allow';
+
+        context.classification = classification;
+
+        if (action === 'allow') return null;
+
+        return {
+          code: classification,
+          severity: action === 'block' ? 'error' : 'warning',
+          message: formMessage(EMAIL_CLASS_MESSAGES[classification][action])
+        };
+      }
+    }
+  ];
+}
+
+/**
+ * Async rule asking the API whether the domain can receive mail (MX,
+ * or A/AAAA records). Lookups that fail or time out never block a signup.
+ * @param {Object} options - { endpoint, timeout, fetch }
+ * @returns {Object} Rule
+ */
+function createDomainCheckRule(options = {}) {
+  const endpoint = options.endpoint || FORM_CONFIG.API.domainCheckEndpoint;
+  const timeout = options.timeout || FORM_CONFIG.API.timeout;
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const cache = new Map();
+
+  return {
+    name: 'domainReachable',
+    async: true,
+    async run({ normalized }, { signal } = {}) {
+      const domain = normalized.ascii.split('@')[1].toLowerCase();
+
+      if (!cache.has(domain)) {
+        const reachable = await lookupDomain(domain, { endpoint, timeout, fetchImpl, signal });
+        if (reachable === null) return null;
+        cache.set(domain, reachable);
+      }
+
+      return cache.get(domain) ? null : validationIssue('unreachable_domain', 'unreachableDomain');
+    }
+  };
+}
+
+/**
+ * Call the domain check endpoint
+ * @param {string} domain - ASCII domain
+ * @param {Object} options - { endpoint, timeout, fetchImpl, signal }
+ * @returns {Promise<boolean|null>} Reachable, or null when unknown
+ */
+async function lookupDomain(domain, { endpoint, timeout, fetchImpl, signal }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeout);
+
+  if (signal) signal.addEventListener('abort', abort);
+
+  try {
+    const response = await fetchImpl(`${endpoint}?domain=${encodeURIComponent(domain)}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+
+    const body = await response.json();
+    return body && body.data && typeof body.data.reachable === 'boolean' ? body.data.reachable : null;
+  } catch (error) {
+    throwIfAborted(signal);
+    return null;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+// ==========================================
+// EMAIL VALIDATOR CLASS
+// ==========================================
+
+class EmailValidator {
+  constructor() {
+    this.config = FORM_CONFIG.VALIDATION;
+    this.suggestionEngine = new EmailSuggestionEngine();
+    this.classifier = new EmailClassifier();
+    this.idn = loadIdn();
+    this.pipeline = new ValidationPipeline(createDefaultEmailRules(this));
+  }
+
+  /**
+   * Validate email address with the synchronous rules
+   * @param {string} email - Email to validate
+   * @returns {Object} Validation result with isValid, message, code, the
+   *   issues found ({ rule, code, severity, message }), the normalized
+   *   address ({ ascii, display }), a "Did you mean…?" suggestion, the
+   *   address classification and any policy warning
+   */
+  validate(email) {
+    const context = this.createContext(email);
+    return this.buildResult(context, this.pipeline.run(context));
+  }
+
+  /**
+   * Validate with the synchronous rules, then the async ones
+   * @param {string} email - Email to validate
+   * @param {Object} options - { signal } to cancel a stale check
+   * @returns {Promise<Object>} Validation result (see validate)
+   */
+  async validateAsync(email, { signal } = {}) {
+    const context = this.createContext(email);
+    const issues = this.pipeline.run(context);
+
+    if (issues.some(issue => issue.severity === 'error') || !this.pipeline.hasAsyncRules()) {
+      return this.buildResult(context, issues);
+    }
+
+    const asyncIssues = await this.pipeline.runAsync(context, { signal });
+    return this.buildResult(context, issues.concat(asyncIssues));
+  }
+
+  /**
+   * Shared state the rules read and extend
+   * @param {string} input - Raw input
+   * @returns {Object} Rule context
+   */
+  createContext(input) {
+    // Trim whitespace and use one canonical Unicode form
+    const email = String(input || '').trim().normalize('NFC').replace(/[。．｡]/g, '.');
+    const at = email.lastIndexOf('@');
+
+    return {
+      input,
+      email,
+      local: at === -1 ? email : email.slice(0, at),
+      domain: at === -1 ? '' : email.slice(at + 1),
+      normalized: null,
+      classification: null
+    };
+  }
+
+  /**
+   * Summarize pipeline issues into a validation result
+   * @param {Object} context - Rule context after the run
+   * @param {Array<Object>} issues - Issues found
+   * @returns {Object} Validation result
+   */
+  buildResult(context, issues) {
+    const error = issues.find(issue => issue.severity === 'error');
+    const warning = issues.find(issue => issue.severity === 'warning');
+
+    return {
+      isValid: !error,
+      message: error ? error.message : 'Valid email address',
+      code: error ? error.code : null,
+      issues,
+      normalized: error ? undefined : context.normalized,
+      suggestion: this.suggestionEngine.suggest(context.input),
+      classification: context.classification,
+      warning: warning ? warning.message : null
+    };
+  }
+
+  /**
+   * Split a structurally valid address into its storage and display forms
+   * @param {string} email - Valid email address
+   * @returns {Object} { ascii: punycode domain, display: Unicode domain }
+   */
+  normalizeAddress(email) {
+    const [local, domain] = email.split('@');
+    const ascii = this.idn.toASCII(domain);
+
+    return {
+      ascii: `${local}@${ascii}`,
+      display: `${local}@${this.idn.toUnicode(ascii)}`
+    };
+  }
+
   /**
    * Validate local part of email (before @)
    * @param {string} local - Local part
    * @returns {boolean} Is valid
    */
   validateLocalPart(local) {
-    if (!local || local.length === 0 || local.length > 64) {
+    if (!local || local.length === 0 || utf8Length(local) > 64) {
       return false;
     }
 
@@ -164,11 +954,19 @@ class EmailValidator {
   }
 
   /**
-   * Validate domain part of email (after @)
-   * @param {string} domain - Domain part
+   * Validate domain part of email (after @), checked in its ASCII
+   * (punycode) form so IDN domains follow the same DNS limits
+   * @param {string} domain - Domain part, Unicode or ASCII
    * @returns {boolean} Is valid
    */
   validateDomainPart(domain) {
+    if (!domain) {
+      return false;
+    }
+
+    const unicode = this.idn.toUnicode(domain);
+    domain = unicode && this.idn.toASCII(unicode);
+
     if (!domain || domain.length === 0 || domain.length > 253) {
       return false;
     }
@@ -196,9 +994,10 @@ class EmailValidator {
       }
     }
 
-    // Last part should be valid TLD (at least 2 characters)
+    // Last part should be valid TLD (at least 2 characters), either
+    // alphabetic or an IDN TLD in punycode form
     const tld = domainParts[domainParts.length - 1];
-    if (tld.length < 2 || !/^[a-zA-Z]+$/.test(tld)) {
+    if (tld.length < 2 || !(/^[a-zA-Z]+$/.test(tld) || /^xn--[a-z0-9-]+$/.test(tld))) {
       return false;
     }
 
@@ -206,6 +1005,248 @@ class EmailValidator {
   }
 }
 
+// ==========================================
+// FORM SCHEMA
+// ==========================================
+
+/**
+ * Built-in field validators: (value, option) => passes. Text values are
+ * strings, checkbox values arrays of the checked options.
+ */
+const FIELD_VALIDATORS = {
+  minLength: (value, length) => value.length >= length,
+  maxLength: (value, length) => value.length <= length,
+  pattern: (value, regex) => regex.test(value),
+  oneOf: (value, options) => [].concat(value).every(item => options.includes(item)),
+  includes: (value, option) => [].concat(value).includes(option)
+};
+
+class FieldValidator {
+  /**
+   * Validator for one non-email field of FORM_CONFIG.FIELDS, with the
+   * same validate()/validateAsync()/pipeline interface as EmailValidator
+   * @param {Object} field - Field schema
+   */
+  constructor(field) {
+    this.field = field;
+    this.pipeline = new ValidationPipeline(this.createRules());
+  }
+
+  /**
+   * Turn the field's declared validators into pipeline rules. Entries
+   * with a run() function are used as rules as they are.
+   * @returns {Array<Object>} Rules
+   */
+  createRules() {
+    const declared = (this.field.validators || []).slice();
+    if (this.field.options) {
+      declared.push({ type: 'oneOf', value: this.field.options });
+    }
+
+    return declared.map(validator => {
+      if (typeof validator.run === 'function') {
+        return validator;
+      }
+
+      const check = FIELD_VALIDATORS[validator.type];
+      if (!check) {
+        throw new Error(`Unknown validator "${validator.type}" on field "${this.field.name}"`);
+      }
+
+      return {
+        name: validator.type,
+        run: ({ value }) => (check(value, validator.value) ? null : {
+          code: validator.type,
+          message: fieldMessage(this.field, validator.type) || formMessage('invalidField')
+        })
+      };
+    });
+  }
+
+  /**
+   * Run the synchronous rules
+   * @param {*} value - Normalized field value
+   * @returns {Object} Validation result with isValid, message, code, issues and warning
+   */
+  validate(value) {
+    return this.buildResult(this.pipeline.run({ value, field: this.field }));
+  }
+
+  /**
+   * Run the synchronous rules, then the async ones
+   * @param {*} value - Normalized field value
+   * @param {Object} options - { signal } to cancel a stale check
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateAsync(value, { signal } = {}) {
+    const context = { value, field: this.field };
+    const issues = this.pipeline.run(context);
+
+    if (issues.some(issue => issue.severity === 'error') || !this.pipeline.hasAsyncRules()) {
+      return this.buildResult(issues);
+    }
+
+    return this.buildResult(issues.concat(await this.pipeline.runAsync(context, { signal })));
+  }
+
+  /**
+   * Summarize pipeline issues
+   * @param {Array<Object>} issues - Issues found
+   * @returns {Object} Validation result
+   */
+  buildResult(issues) {
+    const error = issues.find(issue => issue.severity === 'error');
+    const warning = issues.find(issue => issue.severity === 'warning');
+
+    return {
+      isValid: !error,
+      message: error ? error.message : '',
+      code: error ? error.code : null,
+      issues,
+      warning: warning ? warning.message : null
+    };
+  }
+}
+
+class FormSchema {
+  /**
+   * DOM-free description of the signup form, shared by the form handler
+   * and the server
+   * @param {Array<Object>} fields - Field schemas (FORM_CONFIG.FIELDS)
+   */
+  constructor(fields = FORM_CONFIG.FIELDS) {
+    this.fields = fields;
+    this.validators = new Map(fields.map(field => [
+      field.name,
+      field.type === 'email' ? new EmailValidator() : new FieldValidator(field)
+    ]));
+  }
+
+  /**
+   * Look up a field schema
+   * @param {string} name - Field name
+   * @returns {Object|undefined} Field schema
+   */
+  getField(name) {
+    return this.fields.find(field => field.name === name);
+  }
+
+  /**
+   * Validator of a field (its pipeline takes extra rules)
+   * @param {string} name - Field name
+   * @returns {EmailValidator|FieldValidator} Validator
+   */
+  getValidator(name) {
+    return this.validators.get(name);
+  }
+
+  /**
+   * Clean up a raw value: trimmed strings, arrays of strings for checkboxes
+   * @param {Object} field - Field schema
+   * @param {*} raw - Raw value
+   * @returns {string|Array<string>} Normalized value
+   */
+  normalizeValue(field, raw) {
+    if (field.type === 'checkbox') {
+      return [].concat(raw == null ? [] : raw).map(item => String(item).trim()).filter(Boolean);
+    }
+
+    const value = typeof raw === 'string' ? raw.trim() : '';
+    return field.normalize && value ? field.normalize(value) : value;
+  }
+
+  /**
+   * Validate one field. Empty optional fields always pass.
+   * @param {string} name - Field name
+   * @param {*} raw - Raw value
+   * @returns {Object} Validation result, plus the normalized value
+   */
+  validateField(name, raw) {
+    const field = this.getField(name);
+    const value = this.normalizeValue(field, raw);
+
+    if (value.length === 0) {
+      return this.emptyResult(field, value);
+    }
+
+    return { ...this.getValidator(name).validate(value), value };
+  }
+
+  /**
+   * Validate one field including its async rules
+   * @param {string} name - Field name
+   * @param {*} raw - Raw value
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} Validation result, plus the normalized value
+   */
+  async validateFieldAsync(name, raw, { signal } = {}) {
+    const field = this.getField(name);
+    const value = this.normalizeValue(field, raw);
+
+    if (value.length === 0) {
+      return this.emptyResult(field, value);
+    }
+
+    return { ...(await this.getValidator(name).validateAsync(value, { signal })), value };
+  }
+
+  /**
+   * Result for a field left empty
+   * @param {Object} field - Field schema
+   * @param {*} value - Empty value
+   * @returns {Object} Validation result
+   */
+  emptyResult(field, value) {
+    if (!field.required) {
+      return { isValid: true, message: '', code: null, issues: [], warning: null, value };
+    }
+
+    const message = fieldMessage(field, 'required') || formMessage('required');
+    return {
+      isValid: false,
+      message,
+      code: 'required',
+      issues: [{ rule: 'required', code: 'required', severity: 'error', message }],
+      warning: null,
+      value
+    };
+  }
+
+  /**
+   * Validate every field
+   * @param {Object} values - Raw values by field name
+   * @returns {Object} { isValid, results: { name: result } }
+   */
+  validate(values) {
+    const results = {};
+    this.fields.forEach(field => {
+      results[field.name] = this.validateField(field.name, values[field.name]);
+    });
+
+    return {
+      isValid: Object.values(results).every(result => result.isValid),
+      results
+    };
+  }
+
+  /**
+   * Build the request payload from validated results, leaving out
+   * optional fields that were left empty (or have no result)
+   * @param {Object} results - Validation results by field name
+   * @returns {Object} Payload
+   */
+  toPayload(results) {
+    const payload = {};
+    this.fields.forEach(field => {
+      const result = results[field.name];
+      if (result && result.value.length > 0) {
+        payload[field.name] = result.value;
+      }
+    });
+    return payload;
+  }
+}
+
 // ==========================================
 // LOCAL STORAGE MANAGER
 // ==========================================
@@ -213,7 +1254,6 @@ class EmailValidator {
 class LocalStorageManager {
   constructor() {
     this.storageKey = 'crumbleBakery_emailSubmissions';
-    this.rateLimitKey = 'crumbleBakery_rateLimiting';
   }
 
   /**
@@ -258,107 +1298,338 @@ class LocalStorageManager {
     }
   }
 
+}
+
+// ==========================================
+// SUBSCRIPTION TRANSPORT
+// ==========================================
+
+/**
+ * Error raised for any failed subscription attempt. The message is always
+ * user-facing copy from FORM_CONFIG.MESSAGES; code and status describe
+ * what actually went wrong.
+ */
+class SubmissionError extends Error {
+  constructor(message, { code = 'server_error', status = 0, field = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.code = code;
+    this.status = status;
+    // Form field the server rejected, if any
+    this.field = field;
+    // Seconds to wait before trying again (Retry-After), if known
+    this.retryAfter = retryAfter;
+  }
+
   /**
-   * Check rate limiting
-   * @returns {boolean} Is rate limited
+   * Whether the request may succeed if simply sent again later
+   * @returns {boolean} Is retryable
    */
-  isRateLimited() {
-    try {
-      const rateLimitData = localStorage.getItem(this.rateLimitKey);
-      if (!rateLimitData) return false;
+  get isRetryable() {
+    return this.code === 'network_error' || this.code === 'timeout' || this.status >= 500;
+  }
+}
 
-      const { timestamp, attempts } = JSON.parse(rateLimitData);
-      const now = Date.now();
-      const fiveMinutes = 5 * 60 * 1000;
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
 
-      // Reset if more than 5 minutes passed
-      if (now - timestamp > fiveMinutes) {
-        localStorage.removeItem(this.rateLimitKey);
-        return false;
-      }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
 
-      // Check if too many attempts
-      return attempts >= 3;
+/**
+ * Generate an idempotency key for a submission so retries and offline
+ * replays are only ever applied once by the server
+ * @returns {string} Unique key
+ */
+function createIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Sends subscription requests to the backend API.
+ *
+ * Request:  POST <endpoint> { "email": "jane@example.com" }
+ * Response: { "success": true, "data": { "status": "pending" } } or
+ *           { "success": false, "error": { "code": "...", "message": "..." } }
+ */
+class HttpSubscriptionTransport {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || FORM_CONFIG.API.endpoint;
+    this.timeout = options.timeout || FORM_CONFIG.API.timeout;
+  }
+
+  /**
+   * Send payload to the subscription endpoint
+   * @param {Object} payload - Request body
+   * @param {Object} options - idempotencyKey sent as Idempotency-Key
+   * @returns {Promise<Object>} Response with status, parsed body and Retry-After
+   */
+  async send(payload, { idempotencyKey } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
     } catch (error) {
-      return false;
+      const code = error.name === 'AbortError' ? 'timeout' : 'network_error';
+      throw new SubmissionError(formMessage('networkError'), { code });
+    } finally {
+      clearTimeout(timeoutId);
     }
+
+    return {
+      status: response.status,
+      body: await this.parseBody(response),
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+    };
   }
 
   /**
-   * Record submission attempt
+   * Parse JSON response body, tolerating empty or non-JSON bodies
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object|null>} Parsed body
    */
-  recordAttempt() {
+  async parseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('application/json')) {
+      return null;
+    }
+
     try {
-      const now = Date.now();
-      const rateLimitData = localStorage.getItem(this.rateLimitKey);
-      
-      if (rateLimitData) {
-        const data = JSON.parse(rateLimitData);
-        data.attempts = (data.attempts || 0) + 1;
-        data.timestamp = now;
-        localStorage.setItem(this.rateLimitKey, JSON.stringify(data));
-      } else {
-        localStorage.setItem(this.rateLimitKey, JSON.stringify({
-          timestamp: now,
-          attempts: 1
-        }));
-      }
+      return await response.json();
     } catch (error) {
-      console.warn('Failed to record attempt:', error);
+      return null;
     }
   }
 }
 
+/**
+ * Simulates the subscription API in localStorage so the page can be
+ * demoed without a backend. Responds with the same status codes the
+ * real API uses.
+ */
+class MockSubscriptionTransport {
+  constructor(options = {}) {
+    this.storageManager = options.storageManager || new LocalStorageManager();
+    this.delay = options.delay ?? FORM_CONFIG.TIMING.submitDelay;
+    this.failureRate = options.failureRate ?? FORM_CONFIG.API.mockFailureRate;
+  }
+
+  /**
+   * Simulate a subscription request
+   * @param {Object} payload - Request body
+   * @returns {Promise<Object>} Response with status and body
+   */
+  async send(payload) {
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+
+    // Honour the browser's offline mode so the outbox can be demoed too
+    if (navigator.onLine === false) {
+      throw new SubmissionError(formMessage('networkError'), { code: 'network_error' });
+    }
+
+    if (Math.random() < this.failureRate) {
+      return {
+        status: 503,
+        body: { success: false, error: { code: 'unavailable', message: 'Simulated outage' } }
+      };
+    }
+
+    if (this.storageManager.wasEmailSubmitted(payload.email)) {
+      return {
+        status: 409,
+        body: { success: false, error: { code: 'already_subscribed', message: 'Already subscribed' } }
+      };
+    }
+
+    this.storageManager.storeSubmission(payload.email);
+
+    return {
+      status: 202,
+      body: {
+        success: true,
+        data: { email: payload.email, status: 'pending', waitlist: this.createWaitlist() }
+      }
+    };
+  }
+
+  /**
+   * Made-up waitlist summary in the shape the API returns
+   * @returns {Object} Waitlist summary
+   */
+  createWaitlist() {
+    const total = FORM_CONFIG.API.mockWaitlistSize + this.storageManager.getSubmissions().length;
+    const referralCode = Math.random().toString(36).slice(2, 10).padEnd(8, '0');
+    const url = new URL(window.location.href);
+    url.search = `?ref=${referralCode}`;
+    url.hash = '';
+
+    return {
+      position: total,
+      total,
+      referralCode,
+      referralUrl: url.toString(),
+      referrals: 0,
+      // Mirrors the server's default REFERRALS.rewards
+      rewards: [
+        { referrals: 3, reward: 'A free cookie on opening day', earned: false },
+        { referrals: 10, reward: 'A launch-day pastry box', earned: false }
+      ]
+    };
+  }
+}
+
+/**
+ * Create the transport selected by FORM_CONFIG.API.transport or the
+ * ?transport= query parameter
+ * @returns {Object} Subscription transport
+ */
+function createSubscriptionTransport() {
+  const override = new URLSearchParams(window.location.search).get('transport');
+  let mode = override || FORM_CONFIG.API.transport;
+
+  if (mode === 'auto') {
+    mode = window.location.protocol === 'file:' ? 'mock' : 'http';
+  }
+
+  return mode === 'mock' ? new MockSubscriptionTransport() : new HttpSubscriptionTransport();
+}
+
+/**
+ * Proof-of-work for the real API (js/bot-protection.js); the mock
+ * transport has no server to check it
+ * @param {Object} transport - Subscription transport
+ * @returns {BotProtection|null} Bot protection
+ */
+function createBotProtection(transport) {
+  if (typeof BotProtection === 'undefined' || !(transport instanceof HttpSubscriptionTransport)) {
+    return null;
+  }
+  return new BotProtection();
+}
+
 // ==========================================
 // EMAIL SUBMISSION HANDLER
 // ==========================================
 
 class EmailSubmissionHandler {
-  constructor() {
-    this.storageManager = new LocalStorageManager();
+  constructor(transport = createSubscriptionTransport(), botProtection = createBotProtection(transport)) {
+    this.transport = transport;
+    this.botProtection = botProtection;
+  }
+
+  /**
+   * Submit a signup to the subscription API
+   * @param {Object} payload - Validated form values ({ email, firstName, ... })
+   * @param {string} idempotencyKey - Key identifying this submission
+   * @returns {Promise} Submission result
+   */
+  async submitSignup(payload, idempotencyKey = createIdempotencyKey()) {
+    return this.sendPayload(payload, idempotencyKey);
   }
 
   /**
-   * Submit email (simulate API call)
-   * @param {string} email - Email to submit
+   * Send a prepared payload (also used to replay queued submissions)
+   * @param {Object} payload - Request payload
+   * @param {string} idempotencyKey - Key identifying this submission
    * @returns {Promise} Submission result
    */
-  async submitEmail(email) {
-    // Check rate limiting
-    if (this.storageManager.isRateLimited()) {
-      throw new Error(FORM_CONFIG.MESSAGES.rateLimited);
+  async sendPayload(payload, idempotencyKey) {
+    let response = await this.transport.send(await this.withProof(payload), { idempotencyKey });
+
+    // A challenge can go stale (e.g. while a signup waited in the outbox);
+    // try once more with a fresh one
+    if (this.botProtection && response.status === 400 && response.body &&
+        response.body.error && response.body.error.code === 'invalid_challenge') {
+      response = await this.transport.send(await this.withProof(payload), { idempotencyKey });
     }
 
-    // Record attempt
-    this.storageManager.recordAttempt();
+    return this.handleResponse(response);
+  }
 
-    // Check if already submitted
-    if (this.storageManager.wasEmailSubmitted(email)) {
-      throw new Error(FORM_CONFIG.MESSAGES.alreadySubscribed);
+  /**
+   * Attach a solved bot protection challenge to a payload
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Payload with proof
+   */
+  async withProof(payload) {
+    if (!this.botProtection) {
+      return payload;
     }
 
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, FORM_CONFIG.TIMING.submitDelay));
-
-    // Simulate random network/server errors (5% chance)
-    if (Math.random() < 0.05) {
-      throw new Error(FORM_CONFIG.MESSAGES.networkError);
+    try {
+      return { ...payload, proof: await this.botProtection.getProof() };
+    } catch (error) {
+      // Usually the challenge request failing, so worth retrying later
+      throw new SubmissionError(formMessage('networkError'), { code: 'network_error' });
     }
+  }
 
-    // In a real application, you would make an API call here:
-    // const response = await fetch('/api/subscribe', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({ email })
-    // });
-    
-    // For now, we'll simulate success and store locally
-    this.storageManager.storeSubmission(email);
-    
-    return {
-      success: true,
-      message: FORM_CONFIG.MESSAGES.success
-    };
+  /**
+   * Map an API response onto a result or a SubmissionError
+   * @param {Object} response - Transport response with status, body and retryAfter
+   * @returns {Object} Submission result
+   */
+  handleResponse({ status, body, retryAfter = null }) {
+    if (status >= 200 && status < 300) {
+      return {
+        success: true,
+        message: formMessage('success'),
+        data: body
+      };
+    }
+
+    const code = body && body.error ? body.error.code : undefined;
+    const field = body && body.error ? body.error.field : undefined;
+
+    switch (status) {
+      case 400:
+      case 422:
+        if (code === 'invalid_challenge' || code === 'too_fast') {
+          throw new SubmissionError(formMessage('serverError'), { code, status });
+        }
+        if (field) {
+          // Prefer the field's own (translated) message for the rule that failed
+          const config = FORM_CONFIG.FIELDS.find(candidate => candidate.name === field);
+          const message = (config && body.error.rule && fieldMessage(config, body.error.rule)) ||
+            body.error.message || formMessage('invalidField');
+          throw new SubmissionError(message, { code, status, field });
+        }
+        throw new SubmissionError(formMessage('invalid'), { code: code || 'invalid_email', status });
+      case 409:
+        throw new SubmissionError(formMessage('alreadySubscribed'), { code: code || 'already_subscribed', status });
+      case 429:
+        throw new SubmissionError(formMessage('rateLimited'), { code: code || 'rate_limited', status, retryAfter });
+      default:
+        throw new SubmissionError(formMessage('serverError'), { code: code || 'server_error', status });
+    }
   }
 }
 
@@ -366,23 +1637,61 @@ class EmailSubmissionHandler {
 // FORM HANDLER CLASS
 // ==========================================
 
+/**
+ * Format a wait as m:ss (or h:mm:ss)
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted delay, e.g. "2:13"
+ */
+function formatRetryDelay(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
 class EmailFormHandler {
-  constructor() {
+  /**
+   * Drives the signup form from a FormSchema: binds each field, validates
+   * it as the visitor types and submits the structured payload. Call
+   * init() to bind it to the page.
+   * @param {FormSchema} schema - Form schema
+   * @param {Object|null} events - App event bus to announce signups on
+   */
+  constructor(schema = new FormSchema(), events = null) {
     this.form = null;
-    this.emailInput = null;
     this.submitButton = null;
-    this.errorMessage = null;
+    this.honeypot = null;
+    this.suggestionElement = null;
+    this.warningElement = null;
     this.successMessage = null;
+    this.queuedMessage = null;
     this.buttonText = null;
     this.buttonLoading = null;
     
-    this.validator = new EmailValidator();
+    this.schema = schema;
+    this.events = events;
+    // name -> { config, inputs, errorElement }
+    this.fields = new Map();
+    this.emailInput = null;
+    
+    this.validator = schema.getValidator('email');
     this.submissionHandler = new EmailSubmissionHandler();
+    this.offlineQueue = null;
+    this.referralTracker = null;
+    this.waitlistPanel = null;
+    this.unsubscribeConsent = null;
+    this.unsubscribeLocale = null;
     
     this.isSubmitting = false;
-    this.debounceTimeout = null;
-    
-    this.init();
+    this.retryCountdown = null;
+    // Per-field debounce timers and in-flight async validations
+    this.debounceTimeouts = new Map();
+    this.asyncValidations = new Map();
+    // name -> error code last announced on the event bus
+    this.reportedErrors = new Map();
   }
 
   /**
@@ -393,20 +1702,132 @@ class EmailFormHandler {
     if (this.form) {
       this.bindEvents();
       this.setupAccessibility();
+      this.setupAsyncRules();
+      this.setupBotProtection();
+      this.setupReferrals();
+      this.setupConsent();
+      this.setupTranslations();
+      this.setupOfflineQueue().catch(error => console.error('Offline outbox failed to start:', error));
+    }
+  }
+
+  /**
+   * Keep the analytics checkbox in step with the consent banner
+   */
+  setupConsent() {
+    if (typeof consentManager === 'undefined' || !consentManager) return;
+
+    this.reflectAnalyticsConsent();
+    this.unsubscribeConsent = consentManager.onChange(() => this.reflectAnalyticsConsent());
+  }
+
+  /**
+   * Show errors that are on screen in the newly chosen language
+   */
+  setupTranslations() {
+    if (typeof i18n === 'undefined' || !i18n) return;
+
+    this.unsubscribeLocale = i18n.onChange(() => {
+      this.updateSubmitLabel();
+      this.fields.forEach((field, name) => {
+        // The retry countdown re-renders itself every second
+        if (name === 'email' && this.retryCountdown) return;
+        if (field.errorElement && field.errorElement.classList.contains('show')) {
+          this.validateField(name, false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Tick the analytics checkbox if analytics consent was already given
+   */
+  reflectAnalyticsConsent() {
+    const consent = this.fields.get('consent');
+    if (!consent || typeof consentManager === 'undefined' || !consentManager) return;
+
+    const analytics = consent.inputs.find(input => input.value === 'analytics');
+    if (analytics) {
+      analytics.checked = consentManager.isGranted('analytics');
+    }
+  }
+
+  /**
+   * Remember the ?ref= code the visitor arrived with (js/referrals.js)
+   */
+  setupReferrals() {
+    if (typeof ReferralTracker === 'undefined') return;
+
+    this.referralTracker = new ReferralTracker();
+    this.referralTracker.capture();
+    this.waitlistPanel = new WaitlistPanel();
+  }
+
+  /**
+   * Solve the bot protection challenge while the visitor fills in the form
+   */
+  setupBotProtection() {
+    const botProtection = this.submissionHandler.botProtection;
+    if (botProtection) {
+      botProtection.prepare().catch(error => {
+        console.warn('Bot protection challenge failed, retrying on submit:', error);
+      });
+    }
+  }
+
+  /**
+   * Register rules that need the API (there is none behind the mock transport)
+   */
+  setupAsyncRules() {
+    if (this.validator && this.submissionHandler.transport instanceof HttpSubscriptionTransport) {
+      this.validator.pipeline.register(createDomainCheckRule());
+    }
+  }
+
+  /**
+   * Replay signups that could not be delivered earlier
+   */
+  async setupOfflineQueue() {
+    if (typeof OfflineSubmissionQueue === 'undefined') return;
+
+    this.offlineQueue = new OfflineSubmissionQueue(this.submissionHandler, {
+      onDelivered: (entry, result) => this.handleQueuedDelivery(result),
+      onFailed: (entry, error) => this.handleQueuedFailure(error)
+    });
+
+    const pending = await this.offlineQueue.start();
+    if (pending > 0) {
+      this.showQueued(formMessage('queuedOffline'));
     }
   }
 
   /**
-   * Bind DOM elements
+   * Bind DOM elements. Fields missing from the page are skipped.
    */
   bindElements() {
     this.form = document.querySelector(FORM_CONFIG.SELECTORS.form);
-    this.emailInput = document.querySelector(FORM_CONFIG.SELECTORS.emailInput);
     this.submitButton = document.querySelector(FORM_CONFIG.SELECTORS.submitButton);
-    this.errorMessage = document.querySelector(FORM_CONFIG.SELECTORS.errorMessage);
+    this.honeypot = document.querySelector(FORM_CONFIG.SELECTORS.honeypot);
+    this.suggestionElement = document.querySelector(FORM_CONFIG.SELECTORS.suggestion);
+    this.warningElement = document.querySelector(FORM_CONFIG.SELECTORS.warning);
     this.successMessage = document.querySelector(FORM_CONFIG.SELECTORS.successMessage);
+    this.queuedMessage = document.querySelector(FORM_CONFIG.SELECTORS.queuedMessage);
     this.buttonText = document.querySelector(FORM_CONFIG.SELECTORS.buttonText);
     this.buttonLoading = document.querySelector(FORM_CONFIG.SELECTORS.buttonLoading);
+
+    this.schema.fields.forEach(config => {
+      const inputs = Array.from(document.querySelectorAll(config.selector));
+      if (inputs.length === 0) return;
+
+      this.fields.set(config.name, {
+        config,
+        inputs,
+        errorElement: document.querySelector(config.errorSelector || `#${config.name}Error`)
+      });
+    });
+
+    const email = this.fields.get('email');
+    this.emailInput = email ? email.inputs[0] : null;
   }
 
   /**
@@ -420,10 +1841,16 @@ class EmailFormHandler {
     });
 
     // Real-time validation
-    this.emailInput.addEventListener('input', () => {
-      this.handleInputChange();
+    this.fields.forEach((field, name) => {
+      const event = field.config.type === 'checkbox' ? 'change' : 'input';
+      field.inputs.forEach(input => {
+        input.addEventListener(event, () => this.handleInputChange(name));
+        input.addEventListener('focus', () => this.emit('form:focus', { field: name }));
+      });
     });
 
+    if (!this.emailInput) return;
+
     // Focus events
     this.emailInput.addEventListener('focus', () => {
       this.clearMessages();
@@ -432,7 +1859,7 @@ class EmailFormHandler {
     // Paste event
     this.emailInput.addEventListener('paste', () => {
       // Delay validation to allow paste to complete
-      setTimeout(() => this.handleInputChange(), 10);
+      setTimeout(() => this.handleInputChange('email'), 10);
     });
 
     // Prevent double submission on Enter
@@ -447,10 +1874,37 @@ class EmailFormHandler {
    * Setup accessibility features
    */
   setupAccessibility() {
-    // Add ARIA attributes
-    this.emailInput.setAttribute('aria-describedby', 'emailError');
-    this.errorMessage.setAttribute('role', 'alert');
+    // Point each field at its error (and, for the email, its hints)
+    this.fields.forEach((field, name) => {
+      const describedBy = [];
+
+      if (field.errorElement) {
+        field.errorElement.id = field.errorElement.id || `${name}Error`;
+        field.errorElement.setAttribute('role', 'alert');
+        describedBy.push(field.errorElement.id);
+      }
+      if (name === 'email') {
+        [this.suggestionElement, this.warningElement].forEach(element => {
+          if (element && element.id) describedBy.push(element.id);
+        });
+      }
+
+      // A checkbox group is described as a whole, on its fieldset
+      const group = field.config.type === 'checkbox' && field.inputs[0].closest('fieldset');
+      (group ? [group] : field.inputs).forEach(element => {
+        if (describedBy.length) {
+          element.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+        if (field.config.required) {
+          element.setAttribute('aria-required', 'true');
+        }
+      });
+    });
+
     this.successMessage.setAttribute('role', 'status');
+    if (this.queuedMessage) {
+      this.queuedMessage.setAttribute('role', 'status');
+    }
     
     // Add screen reader announcements
     const announcement = document.createElement('div');
@@ -461,81 +1915,358 @@ class EmailFormHandler {
     this.announcementElement = announcement;
   }
 
+  /**
+   * Current raw value of a field
+   * @param {string} name - Field name
+   * @returns {string|Array<string>} Text value or checked options
+   */
+  readValue(name) {
+    const field = this.fields.get(name);
+
+    if (field.config.type === 'checkbox') {
+      return field.inputs.filter(input => input.checked).map(input => input.value);
+    }
+    return field.inputs[0].value;
+  }
+
   /**
    * Handle input change with debouncing
+   * @param {string} name - Field name
    */
-  handleInputChange() {
-    clearTimeout(this.debounceTimeout);
+  handleInputChange(name) {
+    clearTimeout(this.debounceTimeouts.get(name));
     
-    this.debounceTimeout = setTimeout(() => {
-      const email = this.emailInput.value.trim();
-      if (email) {
-        this.validateInput(email, false);
+    this.debounceTimeouts.set(name, setTimeout(() => {
+      this.debounceTimeouts.delete(name);
+
+      const value = this.schema.normalizeValue(this.fields.get(name).config, this.readValue(name));
+      if (value.length > 0) {
+        if (this.validateField(name, false)) {
+          this.passesAsyncRules(name);
+        }
       } else {
-        this.clearMessages();
+        this.cancelAsyncValidation(name);
+        this.clearFieldError(name);
+        if (name === 'email') {
+          this.hideSuggestion();
+          this.showWarning(null);
+        }
       }
-    }, FORM_CONFIG.VALIDATION.debounceDelay);
+    }, FORM_CONFIG.VALIDATION.debounceDelay));
   }
 
   /**
-   * Validate input field
-   * @param {string} email - Email to validate
+   * Validate a field with its synchronous rules
+   * @param {string} name - Field name
    * @param {boolean} showSuccess - Whether to show success state
+   * @returns {Object} Validation result
    */
-  validateInput(email, showSuccess = false) {
-    const validation = this.validator.validate(email);
-    
+  validateField(name, showSuccess = false) {
+    this.cancelAsyncValidation(name);
+
+    const validation = this.schema.validateField(name, this.readValue(name));
+    this.renderValidation(name, validation, showSuccess);
+
+    return validation;
+  }
+
+  /**
+   * Run a field's async rules too. Starting a new check (or typing)
+   * cancels the previous one, so only the latest input is ever reported.
+   * @param {string} name - Field name
+   * @param {boolean} showSuccess - Whether to show success state
+   * @returns {Promise<boolean>} Is valid; false when cancelled
+   */
+  async passesAsyncRules(name, showSuccess = false) {
+    if (!this.schema.getValidator(name).pipeline.hasAsyncRules()) {
+      return true;
+    }
+
+    this.cancelAsyncValidation(name);
+    const controller = new AbortController();
+    this.asyncValidations.set(name, controller);
+
+    try {
+      const validation = await this.schema.validateFieldAsync(name, this.readValue(name), { signal: controller.signal });
+      this.renderValidation(name, validation, showSuccess);
+      return validation.isValid;
+    } catch (error) {
+      if (error.name === 'AbortError') return false;
+      throw error;
+    } finally {
+      if (this.asyncValidations.get(name) === controller) {
+        this.asyncValidations.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Abort an async validation still in flight
+   * @param {string} name - Field name
+   */
+  cancelAsyncValidation(name) {
+    const controller = this.asyncValidations.get(name);
+    if (controller) {
+      controller.abort();
+      this.asyncValidations.delete(name);
+    }
+  }
+
+  /**
+   * Reflect a validation result in the field and its hints
+   * @param {string} name - Field name
+   * @param {Object} validation - Validation result
+   * @param {boolean} showSuccess - Whether to show success state
+   */
+  renderValidation(name, validation, showSuccess) {
+    const field = this.fields.get(name);
+
     if (validation.isValid) {
-      this.clearError();
-      if (showSuccess) {
-        this.emailInput.classList.add('valid');
+      this.clearFieldError(name);
+      this.reportedErrors.delete(name);
+      if (showSuccess && field.config.type !== 'checkbox') {
+        field.inputs[0].classList.add('valid');
       }
     } else {
-      this.showError(validation.message);
-      this.emailInput.classList.remove('valid');
+      this.showFieldError(name, validation.message);
+      field.inputs.forEach(input => input.classList.remove('valid'));
+
+      // Once per problem, not on every keystroke while it lasts
+      if (this.reportedErrors.get(name) !== validation.code) {
+        this.reportedErrors.set(name, validation.code);
+        this.emit('form:invalid', { field: name, reason: validation.code });
+      }
     }
     
-    return validation.isValid;
+    if (name === 'email') {
+      this.showSuggestion(validation.suggestion);
+      this.showWarning(validation.warning);
+    }
+  }
+
+  /**
+   * Show or hide a non-blocking policy warning (e.g. role addresses)
+   * @param {string|null} message - Warning message
+   */
+  showWarning(message) {
+    if (!this.warningElement) return;
+
+    this.warningElement.textContent = message || '';
+    this.warningElement.classList.toggle('show', Boolean(message));
+  }
+
+  /**
+   * Show or hide the "Did you mean…?" hint
+   * @param {Object|null} suggestion - Suggestion from the validator
+   */
+  showSuggestion(suggestion) {
+    if (!this.suggestionElement) return;
+
+    if (!suggestion) {
+      this.hideSuggestion();
+      return;
+    }
+
+    const [before, after] = formMessage('suggestion').split('{suggestion}');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'suggestion-btn';
+    button.textContent = suggestion.full;
+    button.addEventListener('click', () => this.applySuggestion(suggestion.full));
+
+    this.suggestionElement.replaceChildren(before, button, after || '');
+    this.suggestionElement.classList.add('show');
+  }
+
+  /**
+   * Hide the suggestion hint
+   */
+  hideSuggestion() {
+    if (this.suggestionElement) {
+      this.suggestionElement.classList.remove('show');
+      this.suggestionElement.replaceChildren();
+    }
+  }
+
+  /**
+   * Fill in the suggested address and re-validate it
+   * @param {string} email - Suggested address
+   */
+  applySuggestion(email) {
+    this.emailInput.value = email;
+    this.hideSuggestion();
+    this.validateField('email', true);
+    this.announceToScreenReader(formMessage('emailChanged', { email }));
+    this.emailInput.focus();
   }
 
   /**
    * Handle form submission
    */
   async handleSubmit() {
-    if (this.isSubmitting) return;
+    if (this.isSubmitting || this.retryCountdown) return;
 
-    const email = this.emailInput.value.trim();
-    
-    // Validate before submission
-    if (!this.validateInput(email, true)) {
-      this.announceToScreenReader('Please fix the errors before submitting');
-      this.emailInput.focus();
+    // Validate every field before submission
+    const results = {};
+    this.fields.forEach((field, name) => {
+      results[name] = this.validateField(name, true);
+    });
+
+    if (!this.focusFirstInvalid(results)) {
       return;
     }
 
     this.setSubmittingState(true);
-    this.announceToScreenReader('Submitting your email...');
+
+    // Async rules (e.g. the domain check) get the last word
+    const names = Array.from(this.fields.keys());
+    const asyncPassed = await Promise.all(names.map(name => this.passesAsyncRules(name, true)));
+    if (asyncPassed.includes(false)) {
+      this.setSubmittingState(false);
+      this.focusFirstInvalid(results, names.find((name, index) => !asyncPassed[index]));
+      return;
+    }
+
+    this.announceToScreenReader(formMessage('submittingAnnouncement'));
+
+    const payload = this.schema.toPayload(results);
+    // Only bots fill in the hidden honeypot; the server quietly drops those
+    if (this.honeypot && this.honeypot.value) {
+      payload[this.honeypot.name] = this.honeypot.value;
+    }
+    const referralCode = this.referralTracker && this.referralTracker.getCode();
+    if (referralCode) {
+      payload.ref = referralCode;
+    }
+    if (payload.consent) {
+      payload.consent = this.consentRecord(payload.consent);
+    }
+    const idempotencyKey = createIdempotencyKey();
+    this.emit('form:submit', {});
 
     try {
-      const result = await this.submissionHandler.submitEmail(email);
+      const result = await this.submissionHandler.submitSignup(payload, idempotencyKey);
+      this.syncAnalyticsConsent(payload.consent);
       this.handleSubmissionSuccess(result);
     } catch (error) {
-      this.handleSubmissionError(error);
+      if (this.offlineQueue && error instanceof SubmissionError && error.isRetryable) {
+        await this.queueSubmission(payload, idempotencyKey);
+      } else {
+        this.handleSubmissionError(error);
+      }
     } finally {
       this.setSubmittingState(false);
     }
   }
 
+  /**
+   * What the visitor agreed to, in the words they saw: the server keeps
+   * this as the subscription's consent record
+   * @param {Array<string>} granted - Ticked consent options
+   * @returns {Object} { version, granted, wording, source }
+   */
+  consentRecord(granted) {
+    const wording = {};
+    this.fields.get('consent').inputs.forEach(input => {
+      const label = input.closest('label');
+      wording[input.value] = (label ? label.textContent : input.value).replace(/\s+/g, ' ').trim();
+    });
+
+    return {
+      version: FORM_CONFIG.PRIVACY_NOTICE.version,
+      granted,
+      wording,
+      source: window.location.origin + window.location.pathname
+    };
+  }
+
+  /**
+   * The form's analytics checkbox and the consent banner share one
+   * choice (js/consent.js)
+   * @param {Object} record - Consent record that was sent
+   */
+  syncAnalyticsConsent(record) {
+    if (typeof consentManager === 'undefined' || !consentManager || !record) return;
+    consentManager.update({ analytics: record.granted.includes('analytics') });
+  }
+
+  /**
+   * Move focus to the first field with an error
+   * @param {Object} results - Validation results by field name
+   * @param {string} failed - Field that failed an async rule, if any
+   * @returns {boolean} Whether every field is valid
+   */
+  focusFirstInvalid(results, failed = null) {
+    const name = failed || Object.keys(results).find(key => !results[key].isValid);
+    if (!name) return true;
+
+    this.announceToScreenReader(formMessage('fixErrors'));
+    this.fields.get(name).inputs[0].focus();
+    return false;
+  }
+
+  /**
+   * Save a failed submission to the outbox and tell the visitor
+   * @param {Object} payload - Request payload
+   * @param {string} idempotencyKey - Key of the failed attempt
+   */
+  async queueSubmission(payload, idempotencyKey) {
+    try {
+      await this.offlineQueue.enqueue(payload, idempotencyKey);
+    } catch (error) {
+      this.handleSubmissionError(new SubmissionError(formMessage('networkError'), { code: 'network_error' }));
+      return;
+    }
+
+    const message = navigator.onLine === false
+      ? formMessage('queuedOffline')
+      : formMessage('queuedRetry');
+
+    this.clearError();
+    this.hideSuccess();
+    this.resetFields();
+    this.showQueued(message);
+    this.announceToScreenReader(message);
+  }
+
+  /**
+   * A queued submission reached the server
+   * @param {Object} result - Submission result
+   */
+  handleQueuedDelivery(result) {
+    this.hideQueued();
+    this.handleSubmissionSuccess(result, true);
+  }
+
+  /**
+   * A queued submission was rejected for good
+   * @param {Error} error - Error object
+   */
+  handleQueuedFailure(error) {
+    this.hideQueued();
+    this.handleSubmissionError(error);
+  }
+
   /**
    * Handle successful submission
    * @param {Object} result - Submission result
+   * @param {boolean} queued - Whether it was delivered from the offline queue
    */
-  handleSubmissionSuccess(result) {
+  handleSubmissionSuccess(result, queued = false) {
     this.showSuccess(result.message);
     this.clearError();
-    this.emailInput.value = '';
-    this.emailInput.classList.remove('valid');
-    this.announceToScreenReader(result.message);
+    this.hideSuggestion();
+    this.showWarning(null);
+    this.resetFields();
+
+    const waitlist = result.data && result.data.data ? result.data.data.waitlist : null;
+    if (this.showWaitlist(waitlist)) {
+      this.announceToScreenReader(`${result.message} ${formMessage('waitlistPosition', { position: waitlist.position })}`);
+    } else {
+      this.announceToScreenReader(result.message);
+    }
+
+    this.emit('form:submitted', { waitlist: waitlist || null, queued });
     
     // Auto-hide success message
     setTimeout(() => {
@@ -544,66 +2275,174 @@ class EmailFormHandler {
   }
 
   /**
-   * Handle submission error
+   * Show the place in line and referral link from a successful signup
+   * @param {Object|null} waitlist - Waitlist summary from the API
+   * @returns {boolean} Whether the panel was shown
+   */
+  showWaitlist(waitlist) {
+    if (!this.waitlistPanel || !waitlist) return false;
+
+    this.referralTracker.clear();
+    this.waitlistPanel.render(waitlist);
+    return true;
+  }
+
+  /**
+   * Handle submission error, under the field the server pointed at
+   * (or the email field)
    * @param {Error} error - Error object
    */
   handleSubmissionError(error) {
-    const message = error.message || FORM_CONFIG.MESSAGES.serverError;
-    this.showError(message);
+    this.emit('form:failed', { code: error.code || 'server_error' });
+
+    if (error.retryAfter > 0) {
+      this.startRetryCountdown(error.retryAfter);
+      return;
+    }
+
+    const message = error.message || formMessage('serverError');
+    const name = error.field && this.fields.has(error.field) ? error.field : 'email';
+
+    this.showFieldError(name, message);
     this.hideSuccess();
-    this.announceToScreenReader(`Error: ${message}`);
+    this.announceToScreenReader(formMessage('errorAnnouncement', { message }));
     
     // Auto-hide error message
     setTimeout(() => {
-      this.clearError();
+      this.clearFieldError(name);
     }, FORM_CONFIG.TIMING.errorDisplayTime);
   }
 
+  /**
+   * Show "Try again in 2:13" under the email field until the server's
+   * Retry-After has passed, with the submit button disabled meanwhile
+   * @param {number} seconds - Seconds to wait
+   */
+  startRetryCountdown(seconds) {
+    this.stopRetryCountdown();
+
+    const field = this.fields.get('email');
+    const until = Date.now() + seconds * 1000;
+    const render = (remaining) => formMessage('rateLimitedCountdown', { time: formatRetryDelay(remaining) });
+
+    const tick = () => {
+      const remaining = Math.ceil((until - Date.now()) / 1000);
+      if (remaining <= 0) {
+        this.stopRetryCountdown();
+        return;
+      }
+      this.showFieldError('email', render(remaining));
+    };
+
+    // Announce once; the role="alert" element would re-read every tick
+    if (field && field.errorElement) {
+      field.errorElement.setAttribute('aria-live', 'off');
+    }
+    this.announceToScreenReader(render(seconds));
+    this.hideSuccess();
+
+    this.retryCountdown = setInterval(tick, 1000);
+    this.submitButton.disabled = true;
+    tick();
+  }
+
+  /**
+   * End the retry countdown and re-enable the form
+   */
+  stopRetryCountdown() {
+    if (!this.retryCountdown) return;
+
+    clearInterval(this.retryCountdown);
+    this.retryCountdown = null;
+
+    const field = this.fields.get('email');
+    if (field && field.errorElement) {
+      field.errorElement.removeAttribute('aria-live');
+    }
+    this.clearFieldError('email');
+    this.submitButton.disabled = this.isSubmitting;
+  }
+
+  /**
+   * Empty every field after a signup went through or was queued
+   */
+  resetFields() {
+    this.fields.forEach(field => {
+      field.inputs.forEach(input => {
+        if (field.config.type === 'checkbox') {
+          input.checked = false;
+        } else {
+          input.value = '';
+        }
+        input.classList.remove('valid');
+      });
+    });
+    this.reflectAnalyticsConsent();
+  }
+
   /**
    * Set submitting state
    * @param {boolean} isSubmitting - Is form submitting
    */
   setSubmittingState(isSubmitting) {
     this.isSubmitting = isSubmitting;
-    this.submitButton.disabled = isSubmitting;
+    this.submitButton.disabled = isSubmitting || Boolean(this.retryCountdown);
     
-    if (isSubmitting) {
-      this.submitButton.classList.add('loading');
-      this.submitButton.setAttribute('aria-label', FORM_CONFIG.MESSAGES.submitting);
-    } else {
-      this.submitButton.classList.remove('loading');
-      this.submitButton.setAttribute('aria-label', 'Subscribe to notifications');
-    }
+    this.submitButton.classList.toggle('loading', isSubmitting);
+    this.updateSubmitLabel();
+  }
+
+  /**
+   * Label the submit button for screen readers in the current language
+   */
+  updateSubmitLabel() {
+    if (!this.submitButton) return;
+    this.submitButton.setAttribute('aria-label', formMessage(this.isSubmitting ? 'submitting' : 'submitLabel'));
   }
 
   /**
-   * Show error message
+   * Show a field's error message
+   * @param {string} name - Field name
    * @param {string} message - Error message
    */
-  showError(message) {
-    if (this.errorMessage) {
-      this.errorMessage.textContent = message;
-      this.errorMessage.classList.add('show');
+  showFieldError(name, message) {
+    const field = this.fields.get(name);
+    if (!field) return;
+
+    if (field.errorElement) {
+      field.errorElement.textContent = message;
+      field.errorElement.classList.add('show');
     }
     
-    if (this.emailInput) {
-      this.emailInput.classList.add('error');
-      this.emailInput.setAttribute('aria-invalid', 'true');
-    }
+    field.inputs.forEach(input => {
+      input.classList.add('error');
+      input.setAttribute('aria-invalid', 'true');
+    });
   }
 
   /**
-   * Clear error message
+   * Clear a field's error message
+   * @param {string} name - Field name
    */
-  clearError() {
-    if (this.errorMessage) {
-      this.errorMessage.classList.remove('show');
+  clearFieldError(name) {
+    const field = this.fields.get(name);
+    if (!field) return;
+
+    if (field.errorElement) {
+      field.errorElement.classList.remove('show');
     }
     
-    if (this.emailInput) {
-      this.emailInput.classList.remove('error');
-      this.emailInput.setAttribute('aria-invalid', 'false');
-    }
+    field.inputs.forEach(input => {
+      input.classList.remove('error');
+      input.setAttribute('aria-invalid', 'false');
+    });
+  }
+
+  /**
+   * Clear every field's error message
+   */
+  clearError() {
+    this.fields.forEach((field, name) => this.clearFieldError(name));
   }
 
   /**
@@ -626,6 +2465,26 @@ class EmailFormHandler {
     }
   }
 
+  /**
+   * Show the "we'll finish subscribing you" message
+   * @param {string} message - Queued message
+   */
+  showQueued(message) {
+    if (this.queuedMessage) {
+      this.queuedMessage.querySelector('span').textContent = message;
+      this.queuedMessage.classList.add('show');
+    }
+  }
+
+  /**
+   * Hide the queued message
+   */
+  hideQueued() {
+    if (this.queuedMessage) {
+      this.queuedMessage.classList.remove('show');
+    }
+  }
+
   /**
    * Clear all messages
    */
@@ -648,12 +2507,33 @@ class EmailFormHandler {
     }
   }
 
+  /**
+   * Tell the rest of the page (see APP_EVENTS in js/main.js), when the
+   * form is one of the app's modules
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail
+   */
+  emit(type, detail) {
+    if (this.events) {
+      this.events.emit(type, detail);
+    }
+  }
+
   /**
    * Destroy form handler
    */
   destroy() {
-    if (this.debounceTimeout) {
-      clearTimeout(this.debounceTimeout);
+    this.stopRetryCountdown();
+    this.asyncValidations.forEach(controller => controller.abort());
+    this.debounceTimeouts.forEach(timeout => clearTimeout(timeout));
+    if (this.offlineQueue) {
+      this.offlineQueue.destroy();
+    }
+    if (this.unsubscribeConsent) {
+      this.unsubscribeConsent();
+    }
+    if (this.unsubscribeLocale) {
+      this.unsubscribeLocale();
     }
   }
 }
@@ -662,20 +2542,42 @@ class EmailFormHandler {
 // INITIALIZATION
 // ==========================================
 
-// Initialize form handler when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const formHandler = new EmailFormHandler();
-  
-  // Make available globally for debugging
-  window.EmailFormHandler = formHandler;
-});
+// The validator is also loaded by the Node server, where there is no
+// document. On the launch page the form is one of the app's modules
+// (js/main.js); other pages start it on their own when the DOM is ready.
+if (typeof document !== 'undefined') {
+  if (window.CrumbleBakeryApp && typeof window.CrumbleBakeryApp.register === 'function') {
+    window.CrumbleBakeryApp.register('emailForm', {
+      create: ({ events }) => new EmailFormHandler(new FormSchema(), events)
+    });
+  } else {
+    document.addEventListener('DOMContentLoaded', () => {
+      const formHandler = new EmailFormHandler();
+      formHandler.init();
+      
+      // Make available globally for debugging
+      window.EmailFormHandler = formHandler;
+    });
+  }
+}
 
 // Export for module environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     EmailFormHandler,
     EmailValidator,
+    FormSchema,
+    FieldValidator,
+    ValidationPipeline,
+    createDefaultEmailRules,
+    createDomainCheckRule,
+    EmailClassifier,
+    EmailSuggestionEngine,
     LocalStorageManager,
-    EmailSubmissionHandler
+    EmailSubmissionHandler,
+    HttpSubscriptionTransport,
+    MockSubscriptionTransport,
+    SubmissionError,
+    FORM_CONFIG
   };
 }
\ No newline at end of file
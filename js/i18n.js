@@ -0,0 +1,514 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - INTERNATIONALIZATION
+ * ==========================================
+ *
+ * Locale detection (?lang=, the visitor's earlier choice, then
+ * navigator.languages), a language switcher, ICU-style messages with
+ * plurals, and locale-aware numbers. Right-to-left locales set
+ * dir="rtl" on <html>; the stylesheets use logical properties.
+ *
+ * English copy lives where it is used: the markup (elements marked
+ * data-i18n / data-i18n-attr) and the config objects of each script
+ * (e.g. FORM_CONFIG.MESSAGES, which the server shares). Catalogs in
+ * js/locales/ translate those keys; en.js only holds copy that has no
+ * other home, such as plural forms.
+ *
+ * Messages support a subset of ICU MessageFormat:
+ *   {name}                            plain argument
+ *   {count, number}                   formatted number
+ *   {count, plural, one {# Day} other {# Days}}   (also =0 {...})
+ *   {kind, select, a {...} other {...}}
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const I18N_CONFIG = {
+  defaultLocale: 'en',
+  // Native names for the switcher, and text direction
+  locales: {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+  },
+  storageKey: 'crumbleBakery_locale',
+  param: 'lang',
+
+  SELECTORS: {
+    text: '[data-i18n]',
+    attributes: '[data-i18n-attr]',
+    switcher: '#languageSwitcher'
+  }
+};
+
+// Filled in by js/locales/*.js
+const I18N_CATALOGS = {};
+
+// ==========================================
+// MESSAGE FORMATTER
+// ==========================================
+
+class MessageFormatter {
+  /**
+   * @param {string} locale - BCP 47 locale
+   */
+  constructor(locale) {
+    this.locale = locale;
+    this.pluralRules = new Intl.PluralRules(locale);
+    this.numberFormat = new Intl.NumberFormat(locale);
+  }
+
+  /**
+   * Format a message pattern
+   * @param {string} pattern - ICU-style pattern
+   * @param {Object} params - Argument values
+   * @returns {string} Formatted message
+   */
+  format(pattern, params = {}) {
+    return this.formatPattern(pattern, params, null);
+  }
+
+  /**
+   * @param {string} pattern - Pattern or plural branch
+   * @param {Object} params - Argument values
+   * @param {number|null} pluralValue - Value "#" stands for inside a plural branch
+   * @returns {string} Formatted text
+   */
+  formatPattern(pattern, params, pluralValue) {
+    let output = '';
+    let index = 0;
+
+    while (index < pattern.length) {
+      const char = pattern[index];
+
+      if (char === '{') {
+        const end = this.findClosingBrace(pattern, index);
+        output += this.formatArgument(pattern.slice(index + 1, end), params);
+        index = end + 1;
+      } else if (char === '#' && pluralValue !== null) {
+        output += this.numberFormat.format(pluralValue);
+        index++;
+      } else {
+        output += char;
+        index++;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {string} body - Argument without its outer braces
+   * @param {Object} params - Argument values
+   * @returns {string} Formatted argument
+   */
+  formatArgument(body, params) {
+    const [name, type, options] = this.splitArgument(body);
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      // Left for the caller, e.g. an element slot in I18n.render()
+      return `{${body}}`;
+    }
+
+    switch (type) {
+      case 'number':
+        return this.numberFormat.format(value);
+      case 'plural':
+        return this.formatPattern(this.selectPlural(this.parseOptions(options), value), params, value);
+      case 'select': {
+        const branches = this.parseOptions(options);
+        return this.formatPattern(branches[String(value)] ?? branches.other ?? '', params, null);
+      }
+      default:
+        return typeof value === 'number' ? this.numberFormat.format(value) : String(value);
+    }
+  }
+
+  /**
+   * @param {Object} branches - Plural branches by selector
+   * @param {number} value - Count
+   * @returns {string} Matching branch
+   */
+  selectPlural(branches, value) {
+    return branches[`=${value}`] ?? branches[this.pluralRules.select(value)] ?? branches.other ?? '';
+  }
+
+  /**
+   * Split "name, type, options" at its first two commas
+   * @param {string} body - Argument body
+   * @returns {Array<string>} [name, type, options]
+   */
+  splitArgument(body) {
+    const first = body.indexOf(',');
+    if (first === -1) {
+      return [body.trim(), null, ''];
+    }
+
+    const second = body.indexOf(',', first + 1);
+    const type = body.slice(first + 1, second === -1 ? undefined : second).trim();
+    return [body.slice(0, first).trim(), type, second === -1 ? '' : body.slice(second + 1)];
+  }
+
+  /**
+   * Parse "one {...} other {...}" into { one: '...', other: '...' }
+   * @param {string} options - Branch list
+   * @returns {Object} Branches by selector
+   */
+  parseOptions(options) {
+    const branches = {};
+    let index = 0;
+
+    while (index < options.length) {
+      const open = options.indexOf('{', index);
+      if (open === -1) break;
+
+      const selector = options.slice(index, open).trim();
+      const close = this.findClosingBrace(options, open);
+      branches[selector] = options.slice(open + 1, close);
+      index = close + 1;
+    }
+
+    return branches;
+  }
+
+  /**
+   * @param {string} text - Text
+   * @param {number} open - Index of an opening brace
+   * @returns {number} Index of the matching closing brace
+   */
+  findClosingBrace(text, open) {
+    let depth = 0;
+    for (let index = open; index < text.length; index++) {
+      if (text[index] === '{') depth++;
+      if (text[index] === '}' && --depth === 0) return index;
+    }
+    throw new SyntaxError(`Unclosed "{" in message: ${text}`);
+  }
+}
+
+// ==========================================
+// I18N
+// ==========================================
+
+/**
+ * localStorage, or an in-memory stand-in when the browser blocks it
+ * (private browsing, storage disabled, sandboxed frames). Merely reading
+ * window.localStorage throws then, and this runs before anything else.
+ * @returns {Storage} Storage
+ */
+function openLocaleStorage() {
+  try {
+    if (window.localStorage) return window.localStorage;
+  } catch (error) {
+    // Blocked; the choice lasts until the page is reloaded
+  }
+
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key)
+  };
+}
+
+class I18n {
+  /**
+   * @param {Object} options - { catalogs, storage }
+   */
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || I18N_CATALOGS;
+    this.storage = options.storage || openLocaleStorage();
+    this.formatters = new Map();
+    this.listeners = new Set();
+    // English markup, kept so switching back to English restores it
+    this.originals = new WeakMap();
+    this.locale = this.detectLocale();
+  }
+
+  /**
+   * Pick a locale: ?lang=, then a stored choice, then the browser's
+   * preferred languages, then the default
+   * @returns {string} Supported locale
+   */
+  detectLocale() {
+    const candidates = [new URLSearchParams(window.location.search).get(I18N_CONFIG.param)];
+
+    try {
+      candidates.push(this.storage.getItem(I18N_CONFIG.storageKey));
+    } catch (error) {
+      // Storage unavailable
+    }
+
+    if (typeof navigator !== 'undefined') {
+      candidates.push(...(navigator.languages || [navigator.language]));
+    }
+
+    for (const candidate of candidates) {
+      const locale = this.match(candidate);
+      if (locale) return locale;
+    }
+    return I18N_CONFIG.defaultLocale;
+  }
+
+  /**
+   * Map a language tag onto a supported locale ("es-MX" -> "es")
+   * @param {string|null} tag - BCP 47 language tag
+   * @returns {string|null} Supported locale
+   */
+  match(tag) {
+    if (!tag) return null;
+
+    const normalized = String(tag).toLowerCase();
+    if (I18N_CONFIG.locales[normalized]) return normalized;
+
+    const language = normalized.split('-')[0];
+    return I18N_CONFIG.locales[language] ? language : null;
+  }
+
+  /**
+   * @returns {string} 'ltr' or 'rtl'
+   */
+  get dir() {
+    return I18N_CONFIG.locales[this.locale].dir;
+  }
+
+  /**
+   * Switch language, translate the page and tell listeners
+   * @param {string} locale - Locale or language tag
+   * @param {Object} options - { persist: remember the choice }
+   */
+  setLocale(locale, { persist = true } = {}) {
+    this.locale = this.match(locale) || I18N_CONFIG.defaultLocale;
+
+    if (persist) {
+      try {
+        this.storage.setItem(I18N_CONFIG.storageKey, this.locale);
+      } catch (error) {
+        console.warn('Unable to store language choice:', error);
+      }
+    }
+
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = this.locale;
+      document.documentElement.dir = this.dir;
+      this.apply(document);
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.locale);
+      } catch (error) {
+        console.error('Locale listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called with the new locale
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Look up a key in one catalog
+   * @param {string} locale - Locale
+   * @param {string} key - Dotted key, e.g. "form.required"
+   * @returns {string|undefined} Pattern
+   */
+  lookup(locale, key) {
+    const value = key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      this.catalogs[locale]
+    );
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * @param {string} key - Dotted key
+   * @returns {boolean} Whether the current or default catalog has it
+   */
+  has(key) {
+    return this.lookup(this.locale, key) !== undefined ||
+      this.lookup(I18N_CONFIG.defaultLocale, key) !== undefined;
+  }
+
+  /**
+   * Translate a key
+   * @param {string} key - Dotted key
+   * @param {Object} params - Message arguments
+   * @param {string} fallback - English copy to use when no catalog has the key
+   * @returns {string} Message
+   */
+  t(key, params = {}, fallback = key) {
+    const pattern = this.lookup(this.locale, key) ??
+      this.lookup(I18N_CONFIG.defaultLocale, key) ??
+      fallback;
+
+    try {
+      return this.formatter().format(pattern, params);
+    } catch (error) {
+      console.warn(`Bad message "${key}":`, error);
+      return pattern;
+    }
+  }
+
+  /**
+   * Format a number for the current locale
+   * @param {number} value - Number
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  }
+
+  /**
+   * @returns {MessageFormatter} Formatter for the current locale
+   */
+  formatter() {
+    if (!this.formatters.has(this.locale)) {
+      this.formatters.set(this.locale, new MessageFormatter(this.locale));
+    }
+    return this.formatters.get(this.locale);
+  }
+
+  /**
+   * Translate marked-up elements:
+   *   data-i18n="key"                      text content
+   *   data-i18n-attr="placeholder:key"     attributes (comma separated)
+   * Children marked data-i18n-slot="name" (e.g. a link) are kept and
+   * placed where the message says {name}.
+   * @param {Document|Element} root - Where to look
+   */
+  apply(root) {
+    root.querySelectorAll(I18N_CONFIG.SELECTORS.text).forEach(element => {
+      const original = this.original(element);
+      this.render(element, this.t(element.dataset.i18n, {}, original.text));
+    });
+
+    root.querySelectorAll(I18N_CONFIG.SELECTORS.attributes).forEach(element => {
+      const original = this.original(element);
+      element.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        element.setAttribute(attribute, this.t(key, {}, original.attributes[attribute]));
+      });
+    });
+  }
+
+  /**
+   * English markup of an element, captured the first time it is translated
+   * @param {Element} element - Element
+   * @returns {Object} { text, attributes }
+   */
+  original(element) {
+    if (!this.originals.has(element)) {
+      const attributes = {};
+      (element.dataset.i18nAttr || '').split(',').forEach(pair => {
+        const attribute = pair.split(':')[0].trim();
+        if (attribute) attributes[attribute] = element.getAttribute(attribute) || '';
+      });
+
+      const text = Array.from(element.childNodes).map(node => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        return node.dataset && node.dataset.i18nSlot ? `{${node.dataset.i18nSlot}}` : '';
+      }).join('').replace(/\s+/g, ' ').trim();
+
+      this.originals.set(element, { text, attributes });
+    }
+    return this.originals.get(element);
+  }
+
+  /**
+   * Set an element's text, keeping its slot children
+   * @param {Element} element - Element
+   * @param {string} text - Translated text, possibly with {slot} markers
+   */
+  render(element, text) {
+    const slots = new Map();
+    Array.from(element.children).forEach(child => {
+      if (child.dataset.i18nSlot) slots.set(child.dataset.i18nSlot, child);
+    });
+
+    if (slots.size === 0) {
+      element.textContent = text;
+      return;
+    }
+
+    const nodes = text.split(/\{(\w+)\}/).map((part, index) => {
+      if (index % 2 === 1 && slots.has(part)) return slots.get(part);
+      return document.createTextNode(index % 2 === 1 ? `{${part}}` : part);
+    });
+    element.replaceChildren(...nodes);
+  }
+}
+
+// ==========================================
+// LANGUAGE SWITCHER
+// ==========================================
+
+class LanguageSwitcher {
+  /**
+   * @param {I18n} i18n - Translations
+   */
+  constructor(i18n) {
+    this.i18n = i18n;
+    this.select = document.querySelector(I18N_CONFIG.SELECTORS.switcher);
+
+    this.init();
+  }
+
+  /**
+   * List the supported languages, each in its own language
+   */
+  init() {
+    if (!this.select) return;
+
+    Object.entries(I18N_CONFIG.locales).forEach(([locale, { name }]) => {
+      const option = document.createElement('option');
+      option.value = locale;
+      option.lang = locale;
+      option.textContent = name;
+      this.select.appendChild(option);
+    });
+
+    this.select.value = this.i18n.locale;
+    this.select.addEventListener('change', () => this.i18n.setLocale(this.select.value));
+    this.i18n.onChange(locale => {
+      this.select.value = locale;
+    });
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+// Shared by every script that shows copy; the locale is known right away,
+// the page is translated once it has loaded
+const i18n = typeof window !== 'undefined' ? new I18n() : null;
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    i18n.setLocale(i18n.locale, { persist: false });
+    new LanguageSwitcher(i18n);
+  });
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    I18n,
+    MessageFormatter,
+    LanguageSwitcher,
+    I18N_CONFIG,
+    I18N_CATALOGS
+  };
+}
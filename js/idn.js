@@ -0,0 +1,296 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - INTERNATIONALIZED DOMAINS
+ * ==========================================
+ * 
+ * Punycode (RFC 3492) and the parts of IDNA 2008 the email validator
+ * needs: converting domains between Unicode and ASCII (xn--) form and
+ * spotting mixed-script labels used for homograph spoofing
+ * (modelled on the UTS #39 "highly restrictive" profile).
+ */
+
+'use strict';
+
+// ==========================================
+// PUNYCODE
+// ==========================================
+
+const PUNYCODE = {
+  base: 36,
+  tMin: 1,
+  tMax: 26,
+  skew: 38,
+  damp: 700,
+  initialBias: 72,
+  initialN: 128,
+  prefix: 'xn--'
+};
+
+// Any character outside ASCII
+const NON_ASCII = /[\u0080-\uffff]/;
+
+/**
+ * Bias adaptation function (RFC 3492 section 6.1)
+ */
+function punycodeAdapt(delta, numPoints, firstTime) {
+  const { base, tMin, tMax, skew, damp } = PUNYCODE;
+  let k = 0;
+
+  delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+
+  while (delta > ((base - tMin) * tMax) >> 1) {
+    delta = Math.floor(delta / (base - tMin));
+    k += base;
+  }
+
+  return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+}
+
+/**
+ * Threshold for digit position k
+ */
+function punycodeThreshold(k, bias) {
+  if (k <= bias) return PUNYCODE.tMin;
+  if (k >= bias + PUNYCODE.tMax) return PUNYCODE.tMax;
+  return k - bias;
+}
+
+/**
+ * Encode a Unicode label as Punycode (without the xn-- prefix)
+ * @param {string} input - Unicode label
+ * @returns {string} Punycode
+ */
+function punycodeEncode(input) {
+  const { base, initialN, initialBias } = PUNYCODE;
+  const codePoints = Array.from(input, char => char.codePointAt(0));
+  const output = codePoints.filter(cp => cp < 0x80).map(cp => String.fromCharCode(cp));
+  const basicLength = output.length;
+  const digit = d => String.fromCharCode(d + 22 + (d < 26 ? 75 : 0));
+
+  let handled = basicLength;
+  let n = initialN;
+  let delta = 0;
+  let bias = initialBias;
+
+  if (basicLength > 0) {
+    output.push('-');
+  }
+
+  while (handled < codePoints.length) {
+    const m = Math.min(...codePoints.filter(cp => cp >= n));
+    delta += (m - n) * (handled + 1);
+    n = m;
+
+    for (const cp of codePoints) {
+      if (cp < n) {
+        delta++;
+      }
+
+      if (cp === n) {
+        let q = delta;
+        for (let k = base; ; k += base) {
+          const t = punycodeThreshold(k, bias);
+          if (q < t) break;
+          output.push(digit(t + ((q - t) % (base - t))));
+          q = Math.floor((q - t) / (base - t));
+        }
+        output.push(digit(q));
+        bias = punycodeAdapt(delta, handled + 1, handled === basicLength);
+        delta = 0;
+        handled++;
+      }
+    }
+
+    delta++;
+    n++;
+  }
+
+  return output.join('');
+}
+
+/**
+ * Decode a Punycode label (without the xn-- prefix)
+ * @param {string} input - Punycode
+ * @returns {string} Unicode label
+ * @throws {RangeError} On malformed input
+ */
+function punycodeDecode(input) {
+  const { base, initialN, initialBias } = PUNYCODE;
+  const basic = Math.max(input.lastIndexOf('-'), 0);
+  const output = Array.from(input.slice(0, basic), char => char.charCodeAt(0));
+  const toDigit = (cp) => {
+    if (cp >= 48 && cp <= 57) return cp - 22;
+    if (cp >= 65 && cp <= 90) return cp - 65;
+    if (cp >= 97 && cp <= 122) return cp - 97;
+    return base;
+  };
+
+  let i = 0;
+  let n = initialN;
+  let bias = initialBias;
+
+  for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+    const oldI = i;
+
+    for (let w = 1, k = base; ; k += base) {
+      if (index >= input.length) {
+        throw new RangeError('Truncated punycode');
+      }
+
+      const digit = toDigit(input.charCodeAt(index++));
+      if (digit >= base) {
+        throw new RangeError('Invalid punycode digit');
+      }
+
+      i += digit * w;
+      const t = punycodeThreshold(k, bias);
+      if (digit < t) break;
+      w *= base - t;
+    }
+
+    const length = output.length + 1;
+    bias = punycodeAdapt(i - oldI, length, oldI === 0);
+    n += Math.floor(i / length);
+    i %= length;
+
+    if (n > 0x10FFFF) {
+      throw new RangeError('Invalid code point');
+    }
+
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+// ==========================================
+// SCRIPT DETECTION
+// ==========================================
+
+const IDN_SCRIPTS = [
+  'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Thaana',
+  'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Tamil', 'Telugu',
+  'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar',
+  'Georgian', 'Hangul', 'Ethiopic', 'Khmer', 'Han', 'Hiragana', 'Katakana',
+  'Bopomofo'
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script mixes that are normal within one label (UTS #39 highly restrictive)
+const IDN_ALLOWED_MIXES = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+// Cyrillic letters that are indistinguishable from Latin ones
+const IDN_LATIN_LOOKALIKES = /^[аеорсухѕіјһӏԁԛԝ0-9-]+$/u;
+
+/**
+ * Scripts used in a label, ignoring Common/Inherited characters
+ * such as digits, hyphens and combining marks
+ * @param {string} label - Unicode label
+ * @returns {Set<string>} Script names
+ */
+function getLabelScripts(label) {
+  const scripts = new Set();
+
+  for (const char of label) {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) {
+      continue;
+    }
+    const script = IDN_SCRIPTS.find(({ pattern }) => pattern.test(char));
+    scripts.add(script ? script.name : 'Other');
+  }
+
+  return scripts;
+}
+
+/**
+ * Whether a Unicode domain looks like a homograph attack: a label that
+ * mixes scripts, or an all-Cyrillic label made only of Latin lookalikes
+ * under an ASCII TLD (e.g. "аррӏе.com")
+ * @param {string} domain - Unicode domain
+ * @returns {boolean} Is suspicious
+ */
+function isHomographDomain(domain) {
+  const labels = domain.split('.');
+  const asciiTld = !NON_ASCII.test(labels[labels.length - 1]);
+
+  return labels.some(label => {
+    const scripts = [...getLabelScripts(label)];
+
+    if (scripts.length > 1) {
+      return !IDN_ALLOWED_MIXES.some(mix => scripts.every(script => mix.includes(script)));
+    }
+
+    return asciiTld && scripts[0] === 'Cyrillic' && IDN_LATIN_LOOKALIKES.test(label);
+  });
+}
+
+// ==========================================
+// DOMAIN CONVERSION
+// ==========================================
+
+/**
+ * Convert a domain to its ASCII (A-label) form
+ * @param {string} domain - Domain in Unicode or ASCII form
+ * @returns {string|null} Lowercased ASCII domain, or null if not valid IDNA
+ */
+function domainToASCII(domain) {
+  const labels = domain
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[。．｡]/g, '.')
+    .split('.');
+
+  const ascii = [];
+
+  for (const label of labels) {
+    if (!NON_ASCII.test(label)) {
+      ascii.push(label);
+      continue;
+    }
+
+    // U-labels: letters, marks, digits and hyphens; no "ab--" prefix
+    if (!/^[\p{L}\p{M}\p{N}-]+$/u.test(label) || label.slice(2, 4) === '--' || /^\p{M}/u.test(label)) {
+      return null;
+    }
+
+    ascii.push(PUNYCODE.prefix + punycodeEncode(label));
+  }
+
+  return ascii.join('.');
+}
+
+/**
+ * Convert a domain to its Unicode (U-label) form for display
+ * @param {string} domain - Domain in ASCII or Unicode form
+ * @returns {string|null} Unicode domain, or null if a label is malformed
+ */
+function domainToUnicode(domain) {
+  try {
+    return domain
+      .split('.')
+      .map(label => (label.toLowerCase().startsWith(PUNYCODE.prefix)
+        ? punycodeDecode(label.slice(PUNYCODE.prefix.length))
+        : label))
+      .join('.');
+  } catch (error) {
+    return null;
+  }
+}
+
+const IDN = {
+  toASCII: domainToASCII,
+  toUnicode: domainToUnicode,
+  isHomograph: isHomographDomain,
+  getLabelScripts,
+  punycodeEncode,
+  punycodeDecode
+};
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDN;
+}
@@ -0,0 +1,236 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ARABIC CATALOG
+ * ==========================================
+ *
+ * Right-to-left (I18N_CONFIG.locales.ar.dir). Arabic plurals use all six
+ * CLDR categories: zero, one, two, few, many and other.
+ */
+
+'use strict';
+
+I18N_CATALOGS.ar = {
+  page: {
+    title: 'مخبز كرامبل - قريبًا',
+    loading: 'نحضّر لكم شيئًا لذيذًا...',
+    nav: {
+      about: 'من نحن',
+      contact: 'تواصل معنا',
+      language: 'اللغة'
+    },
+    hero: {
+      titleLine1: 'شيء حلو',
+      titleLine2: 'في الطريق',
+      subtitle: 'مخبوزات حرفية مصنوعة بحب من أجود المكونات. استعدوا لتجربة شهية تُرضي أحلى رغباتكم.',
+      almostHere: {
+        titleLine1: 'مخبوزات طازجة',
+        titleLine2: 'على وشك الوصول'
+      },
+      favourite: {
+        titleLine1: 'مخبزك المفضّل الجديد',
+        titleLine2: 'يفتح قريبًا'
+      },
+      launchDay: {
+        titleLine1: 'اليوم',
+        titleLine2: 'يوم الافتتاح!',
+        subtitle: 'نفتح أبوابنا لأول مرة. تفضلوا بالدخول وتذوقوا ما كنا نخبزه.'
+      },
+      open: {
+        titleLine1: 'مخبوز طازجًا',
+        titleLine2: 'كل يوم',
+        subtitle: 'خبز ومعجنات وكعك حرفي، نخبزها هنا كل صباح من أجود المكونات.'
+      },
+      visit: 'خطّط لزيارتك',
+      menu: 'اطّلع على القائمة'
+    },
+    visit: {
+      title: 'تفضلوا بزيارتنا',
+      launchDayNote: 'هدية يوم الافتتاح: أول 50 زبونًا يحصلون على كرواسون مجانًا!',
+      hours: 'ساعات العمل',
+      weekdays: 'من الاثنين إلى الجمعة',
+      saturday: 'السبت',
+      sunday: 'الأحد',
+      menu: 'في القائمة',
+      items: {
+        sourdough: 'رغيف خبز العجين المخمّر',
+        croissant: 'كرواسون باللوز',
+        cinnamonBun: 'لفائف القرفة',
+        cake: 'كعكة اليوم (شريحة)',
+        coffee: 'فلات وايت'
+      },
+      directions: 'موقعنا',
+      getDirections: 'احصل على الاتجاهات'
+    },
+    signup: {
+      title: 'كن أول من يعلم',
+      intro: 'انضم إلى قائمتنا البريدية لنخبرك عند الافتتاح، واحصل على عروض حصرية!',
+      emailPlaceholder: 'أدخل بريدك الإلكتروني',
+      firstName: 'الاسم الأول (اختياري)',
+      postcode: 'الرمز البريدي (اختياري)',
+      interests: 'ما الذي تتشوق إليه أكثر؟',
+      interest: {
+        bread: 'الخبز',
+        pastries: 'المعجنات',
+        cakes: 'الكعك',
+        coffee: 'القهوة'
+      },
+      submit: 'أعلمني',
+      saveSpot: 'احجز مكاني',
+      queued: 'سنكمل اشتراكك عند عودة الاتصال.'
+    },
+    consent: {
+      legend: 'موافقتك',
+      marketing: 'راسلوني بالبريد بشأن افتتاح مخبز كرامبل والعروض الحصرية. يمكنني إلغاء الاشتراك في أي وقت.',
+      analytics: 'ساعدوا أيضًا في تحسين هذا الموقع بإحصاءات استخدام مجهولة الهوية (اختياري).',
+      notice: 'اطّلع على {link} لمعرفة كيف نستخدم بياناتك.',
+      noticeLink: 'إشعار الخصوصية'
+    },
+    consentBanner: {
+      title: 'خصوصيتك',
+      text: 'نحفظ بعض البيانات في متصفحك لكي تعمل هذه الصفحة. ونود بإذنك استخدام إحصاءات مجهولة الهوية لمعرفة كيف تُستخدم الصفحة. اقرأ {link}.',
+      reject: 'الأساسية فقط',
+      accept: 'السماح بالإحصاءات'
+    },
+    waitlist: {
+      position: 'ترتيبك {position} في القائمة {total}',
+      total: 'من {count}',
+      intro: 'تقدّم في القائمة: كل صديق ينضم عبر رابطك يقرّبك من المقدمة.',
+      link: 'رابط الدعوة الخاص بك',
+      copy: 'نسخ',
+      share: 'مشاركة'
+    },
+    milestones: {
+      preorders: {
+        label: 'بدء الطلبات المسبقة',
+        headline: 'احجز علبة مخبوزاتك ليوم الافتتاح',
+        endTitle: 'الطلبات المسبقة متاحة الآن!',
+        endText: 'احجز علبتك ليوم الافتتاح الآن وتجنّب الانتظار في الطابور.'
+      },
+      softOpening: {
+        label: 'الافتتاح التجريبي (الأصدقاء والعائلة)',
+        headline: 'أول خَبزة لمن أوصلونا إلى هنا',
+        endTitle: 'أفراننا دافئة',
+        endText: 'نخبز هذا الأسبوع للأصدقاء والعائلة. والدور عليكم بعد ذلك!'
+      },
+      grandOpening: {
+        label: 'الافتتاح الكبير',
+        headline: 'أبوابنا مفتوحة للجميع'
+      }
+    },
+    calendar: {
+      add: 'أضف إلى التقويم',
+      download: 'تنزيل ملف ‎.ics',
+      eventTitle: 'الافتتاح الكبير لمخبز كرامبل',
+      eventDescription: 'تعالوا واحتفلوا معنا بالافتتاح الكبير: خبز ومعجنات وكعك وقهوة، كلها مخبوزة في المكان.'
+    },
+    features: {
+      offers: 'عروض افتتاح حصرية',
+      earlyAccess: 'وصول مبكر',
+      noSpam: 'بلا رسائل مزعجة، ويمكنك إلغاء الاشتراك متى شئت'
+    },
+    about: {
+      title: 'عن مخبز كرامبل',
+      text: 'تأسس مخبز كرامبل بشغف لصنع مخبوزات استثنائية، ونكرّس جهدنا لنقدم لكم أفضل المخبوزات الحرفية. يجمع خبازونا المهرة بين التقنيات التقليدية والنكهات العصرية ليصنعوا تجربة لا تُنسى مع كل قضمة.',
+      natural: {
+        title: 'مكونات طبيعية',
+        text: 'نختار لجميع منتجاتنا أجود المكونات الطبيعية فقط.'
+      },
+      love: {
+        title: 'مصنوع بحب',
+        text: 'كل قطعة تُصنع يدويًا بعناية وشغف واهتمام بالتفاصيل.'
+      },
+      fresh: {
+        title: 'طازج يوميًا',
+        text: 'نخبز جميع منتجاتنا طازجة كل يوم لنضمن أفضل مذاق وجودة.'
+      }
+    },
+    footer: {
+      tagline: 'مخبوزات حرفية مصنوعة بحب.',
+      connect: 'تابعنا',
+      contact: 'معلومات التواصل',
+      phone: 'قريبًا',
+      location: 'الموقع سيُعلن لاحقًا',
+      copyright: '© 2024 مخبز كرامبل. جميع الحقوق محفوظة.',
+      privacy: 'إشعار الخصوصية',
+      cookies: 'إعدادات ملفات تعريف الارتباط'
+    }
+  },
+
+  countdown: {
+    days: '{count, plural, zero {يوم} one {يوم} two {يومان} few {أيام} many {يومًا} other {يوم}}',
+    hours: '{count, plural, zero {ساعة} one {ساعة} two {ساعتان} few {ساعات} many {ساعة} other {ساعة}}',
+    minutes: '{count, plural, zero {دقيقة} one {دقيقة} two {دقيقتان} few {دقائق} many {دقيقة} other {دقيقة}}',
+    seconds: '{count, plural, zero {ثانية} one {ثانية} two {ثانيتان} few {ثوانٍ} many {ثانية} other {ثانية}}',
+    opensAt: 'نفتتح {bakeryTime}',
+    opensAtWithLocal: 'نفتتح {bakeryTime} ({localTime} بتوقيتك)',
+    launchTitle: 'افتتحنا!',
+    launchText: 'مخبز كرامبل مفتوح الآن!'
+  },
+
+  form: {
+    required: 'أدخل بريدك الإلكتروني',
+    invalid: 'أدخل بريدًا إلكترونيًا صالحًا',
+    invalidField: 'تحقق من هذا الحقل',
+    unreachableDomain: 'لم نجد خادم بريد لهذا النطاق. تحقق من العنوان.',
+    homograph: 'يخلط هذا النطاق بين أبجديات مختلفة، وهي حيلة شائعة لانتحال مواقع أخرى. تحقق من العنوان.',
+    tooShort: 'البريد الإلكتروني قصير جدًا',
+    tooLong: 'البريد الإلكتروني طويل جدًا',
+    submitting: 'جارٍ الاشتراك...',
+    submitLabel: 'اشترك لتصلك الأخبار',
+    success: 'أوشكنا! تحقق من بريدك الوارد لتأكيد اشتراكك.',
+    networkError: 'خطأ في الاتصال. حاول مرة أخرى.',
+    serverError: 'حدث خطأ ما. حاول مرة أخرى لاحقًا.',
+    alreadySubscribed: 'أنت مشترك بالفعل! سنتواصل معك قريبًا.',
+    rateLimited: 'محاولات كثيرة جدًا. حاول مرة أخرى بعد بضع دقائق.',
+    rateLimitedCountdown: 'محاولات كثيرة جدًا. حاول مرة أخرى بعد {time}.',
+    suggestion: 'هل تقصد {suggestion}؟',
+    disposableEmail: 'لا يمكن استخدام عناوين البريد المؤقتة. استخدم عنوانًا تتفقده باستمرار.',
+    disposableEmailWarning: 'يبدو هذا عنوانًا مؤقتًا. قد لا تصلك أخبار الافتتاح بعد انتهاء صلاحيته.',
+    roleEmailBlocked: 'لا يمكن استخدام العناوين المشتركة (مثل info@). استخدم عنوانًا شخصيًا.',
+    roleEmail: 'يبدو هذا عنوانًا مشتركًا (مثل info@). تصل أخبار الافتتاح أفضل إلى بريد شخصي.',
+    freeProviderEmail: 'لا تُقبل العناوين الشخصية هنا. استخدم عنوان عملك.',
+    corporateEmail: 'لا تُقبل عناوين العمل هنا. استخدم عنوانًا شخصيًا.',
+    freeProviderEmailWarning: 'يبدو هذا عنوانًا شخصيًا. استخدم عنوان عملك إن أمكن.',
+    corporateEmailWarning: 'يبدو هذا عنوان عمل. استخدم عنوانًا شخصيًا إن أمكن.',
+    queuedOffline: 'أنت غير متصل الآن. سنكمل اشتراكك عند عودة الاتصال.',
+    queuedRetry: 'تعذّر الوصول إلى خوادمنا. سنواصل المحاولة ونكمل اشتراكك قريبًا.',
+    submittingAnnouncement: 'جارٍ إرسال بريدك الإلكتروني...',
+    fixErrors: 'صحّح الأخطاء قبل الإرسال',
+    emailChanged: 'تم تغيير البريد إلى {email}',
+    errorAnnouncement: 'خطأ: {message}',
+    waitlistPosition: 'ترتيبك رقم {position, number} في القائمة.',
+    fields: {
+      email: {
+        required: 'أدخل بريدك الإلكتروني'
+      },
+      firstName: {
+        required: 'أخبرنا باسمك الأول',
+        maxLength: 'يجب ألا يتجاوز اسمك الأول 50 حرفًا',
+        pattern: 'استخدم الحروف فقط في اسمك الأول'
+      },
+      postcode: {
+        required: 'أدخل رمزك البريدي',
+        pattern: 'أدخل رمزًا بريديًا صالحًا'
+      },
+      interests: {
+        required: 'اختر شيئًا واحدًا على الأقل تتشوق إليه',
+        oneOf: 'اختر من الخيارات المعروضة'
+      },
+      consent: {
+        required: 'يُرجى الموافقة على تلقي رسائل الافتتاح',
+        includes: 'يُرجى الموافقة على تلقي رسائل الافتتاح',
+        oneOf: 'اختر من الخيارات المعروضة',
+        noticeVersion: 'تغيّر إشعار الخصوصية. أعد تحميل الصفحة وحاول مرة أخرى.'
+      }
+    }
+  },
+
+  referrals: {
+    copied: 'تم نسخ الرابط!',
+    copyFailed: 'حدّد الرابط وانسخه',
+    shareTitle: 'مخبز كرامبل يفتتح قريبًا',
+    shareText: 'انضم معي إلى قائمة افتتاح مخبز كرامبل!',
+    count: '{count, plural, =0 {لم ينضم أي صديق عبر رابطك بعد} one {انضم صديق واحد عبر رابطك} two {انضم صديقان عبر رابطك} few {انضم # أصدقاء عبر رابطك} many {انضم # صديقًا عبر رابطك} other {انضم # صديق عبر رابطك}}',
+    rewardTier: '{count, plural, one {صديق واحد} two {صديقان} few {# أصدقاء} many {# صديقًا} other {# صديق}}: {reward}'
+  }
+};
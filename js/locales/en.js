@@ -0,0 +1,24 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ENGLISH CATALOG
+ * ==========================================
+ *
+ * Only copy that has no English home elsewhere (the markup and the
+ * scripts' config hold the rest; see js/i18n.js), mostly plural forms.
+ */
+
+'use strict';
+
+I18N_CATALOGS.en = {
+  countdown: {
+    days: '{count, plural, one {Day} other {Days}}',
+    hours: '{count, plural, one {Hour} other {Hours}}',
+    minutes: '{count, plural, one {Minute} other {Minutes}}',
+    seconds: '{count, plural, one {Second} other {Seconds}}'
+  },
+
+  referrals: {
+    count: '{count, plural, =0 {No friends have joined through your link yet} one {# friend has joined through your link} other {# friends have joined through your link}}',
+    rewardTier: '{count, plural, one {# friend} other {# friends}}: {reward}'
+  }
+};
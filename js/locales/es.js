@@ -0,0 +1,233 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SPANISH CATALOG
+ * ==========================================
+ */
+
+'use strict';
+
+I18N_CATALOGS.es = {
+  page: {
+    title: 'Crumble Bakery - Muy pronto',
+    loading: 'Preparando algo delicioso...',
+    nav: {
+      about: 'Nosotros',
+      contact: 'Contacto',
+      language: 'Idioma'
+    },
+    hero: {
+      titleLine1: 'Algo dulce',
+      titleLine2: 'está por llegar',
+      subtitle: 'Repostería artesanal hecha con cariño y con los mejores ingredientes. Prepárate para una experiencia deliciosa que satisfará tus antojos más dulces.',
+      almostHere: {
+        titleLine1: 'Pan recién hecho',
+        titleLine2: 'muy pronto'
+      },
+      favourite: {
+        titleLine1: 'Tu nueva panadería favorita',
+        titleLine2: 'abre muy pronto'
+      },
+      launchDay: {
+        titleLine1: 'Hoy es el día',
+        titleLine2: '¡de la apertura!',
+        subtitle: 'Abrimos nuestras puertas por primera vez. Entra, saluda y prueba lo que hemos estado horneando.'
+      },
+      open: {
+        titleLine1: 'Recién horneado',
+        titleLine2: 'cada día',
+        subtitle: 'Pan, bollería y pasteles artesanales, horneados aquí cada mañana con los mejores ingredientes.'
+      },
+      visit: 'Planea tu visita',
+      menu: 'Ver la carta'
+    },
+    visit: {
+      title: 'Ven a vernos',
+      launchDayNote: 'Regalo de apertura: ¡los 50 primeros clientes se llevan un cruasán gratis!',
+      hours: 'Horario',
+      weekdays: 'De lunes a viernes',
+      saturday: 'Sábado',
+      sunday: 'Domingo',
+      menu: 'En la carta',
+      items: {
+        sourdough: 'Pan de masa madre',
+        croissant: 'Cruasán de almendras',
+        cinnamonBun: 'Rollo de canela',
+        cake: 'Pastel del día (porción)',
+        coffee: 'Flat white'
+      },
+      directions: 'Dónde estamos',
+      getDirections: 'Cómo llegar'
+    },
+    signup: {
+      title: 'Entérate antes que nadie',
+      intro: 'Únete a nuestra lista y te avisaremos cuando abramos, ¡además de enviarte ofertas exclusivas!',
+      emailPlaceholder: 'Escribe tu correo electrónico',
+      firstName: 'Nombre (opcional)',
+      postcode: 'Código postal (opcional)',
+      interests: '¿Qué es lo que más te apetece?',
+      interest: {
+        bread: 'Pan',
+        pastries: 'Bollería',
+        cakes: 'Pasteles',
+        coffee: 'Café'
+      },
+      submit: 'Avísame',
+      saveSpot: 'Reserva mi sitio',
+      queued: 'Terminaremos tu suscripción cuando vuelvas a tener conexión.'
+    },
+    consent: {
+      legend: 'Tu consentimiento',
+      marketing: 'Envíame correos sobre la apertura de Crumble Bakery y ofertas exclusivas. Puedo darme de baja cuando quiera.',
+      analytics: 'Ayudar también a mejorar este sitio con estadísticas de uso anónimas (opcional).',
+      notice: 'Consulta nuestro {link} para saber cómo usamos tus datos.',
+      noticeLink: 'aviso de privacidad'
+    },
+    consentBanner: {
+      title: 'Tu privacidad',
+      text: 'Guardamos algunos datos en tu navegador para que esta página funcione. Con tu permiso, también queremos usar estadísticas anónimas para ver cómo se usa la página. Lee nuestro {link}.',
+      reject: 'Solo esenciales',
+      accept: 'Permitir estadísticas'
+    },
+    waitlist: {
+      position: 'Tienes el puesto {position} de la lista {total}',
+      total: 'de {count}',
+      intro: 'Sube en la lista: cada amigo que se una con tu enlace te acerca al primer puesto.',
+      link: 'Tu enlace de invitación',
+      copy: 'Copiar',
+      share: 'Compartir'
+    },
+    milestones: {
+      preorders: {
+        label: 'Apertura de reservas',
+        headline: 'Reserva tu caja para el día de la apertura',
+        endTitle: '¡Ya puedes reservar!',
+        endText: 'Reserva ya tu caja para el día de la apertura y evita la cola.'
+      },
+      softOpening: {
+        label: 'Preapertura (amigos y familia)',
+        headline: 'Una primera hornada para quienes nos han traído hasta aquí',
+        endTitle: 'Nuestros hornos ya están calientes',
+        endText: 'Esta semana horneamos para amigos y familia. ¡Después te toca a ti!'
+      },
+      grandOpening: {
+        label: 'Gran inauguración',
+        headline: 'Abrimos las puertas a todo el mundo'
+      }
+    },
+    calendar: {
+      add: 'Añadir al calendario',
+      download: 'Descargar archivo .ics',
+      eventTitle: 'Gran inauguración de Crumble Bakery',
+      eventDescription: 'Ven a celebrar nuestra gran inauguración: pan, bollería, pasteles y café, todo horneado aquí mismo.'
+    },
+    features: {
+      offers: 'Ofertas exclusivas de apertura',
+      earlyAccess: 'Acceso anticipado',
+      noSpam: 'Sin spam, date de baja cuando quieras'
+    },
+    about: {
+      title: 'Sobre Crumble Bakery',
+      text: 'Crumble Bakery nace de la pasión por crear repostería excepcional y se dedica a ofrecerte los mejores productos artesanales. Nuestros panaderos combinan técnicas tradicionales con sabores modernos para que cada bocado sea memorable.',
+      natural: {
+        title: 'Ingredientes naturales',
+        text: 'Solo usamos ingredientes naturales de la más alta calidad en todos nuestros productos.'
+      },
+      love: {
+        title: 'Hecho con cariño',
+        text: 'Cada pieza se elabora a mano con cuidado, pasión y atención al detalle.'
+      },
+      fresh: {
+        title: 'Recién hecho cada día',
+        text: 'Horneamos todos nuestros productos cada día para garantizar el mejor sabor y calidad.'
+      }
+    },
+    footer: {
+      tagline: 'Repostería artesanal hecha con cariño.',
+      connect: 'Síguenos',
+      contact: 'Contacto',
+      phone: 'Muy pronto',
+      location: 'Ubicación por anunciar',
+      copyright: '© 2024 Crumble Bakery. Todos los derechos reservados.',
+      privacy: 'Aviso de privacidad',
+      cookies: 'Configuración de cookies'
+    }
+  },
+
+  countdown: {
+    days: '{count, plural, one {Día} other {Días}}',
+    hours: '{count, plural, one {Hora} other {Horas}}',
+    minutes: '{count, plural, one {Minuto} other {Minutos}}',
+    seconds: '{count, plural, one {Segundo} other {Segundos}}',
+    opensAt: 'Abrimos el {bakeryTime}',
+    opensAtWithLocal: 'Abrimos el {bakeryTime} ({localTime} en tu zona horaria)',
+    launchTitle: '¡Ya hemos abierto!',
+    launchText: '¡Crumble Bakery ya está abierta!'
+  },
+
+  form: {
+    required: 'Escribe tu correo electrónico',
+    invalid: 'Escribe un correo electrónico válido',
+    invalidField: 'Revisa este campo',
+    unreachableDomain: 'No encontramos un servidor de correo para este dominio. Revisa la dirección.',
+    homograph: 'Este dominio mezcla alfabetos distintos, un truco habitual para imitar otros sitios. Revisa la dirección.',
+    tooShort: 'El correo electrónico es demasiado corto',
+    tooLong: 'El correo electrónico es demasiado largo',
+    submitting: 'Suscribiendo...',
+    submitLabel: 'Suscribirme a las novedades',
+    success: '¡Ya casi está! Revisa tu bandeja de entrada para confirmar la suscripción.',
+    networkError: 'Error de conexión. Inténtalo de nuevo.',
+    serverError: 'Algo ha fallado. Inténtalo de nuevo más tarde.',
+    alreadySubscribed: '¡Ya estás suscrito! Pronto tendrás noticias nuestras.',
+    rateLimited: 'Demasiados intentos. Inténtalo de nuevo en unos minutos.',
+    rateLimitedCountdown: 'Demasiados intentos. Inténtalo de nuevo en {time}.',
+    suggestion: '¿Quisiste decir {suggestion}?',
+    disposableEmail: 'No se admiten direcciones de correo temporales. Usa una dirección que consultes a menudo.',
+    disposableEmailWarning: 'Parece una dirección temporal. Puede que las novedades no te lleguen cuando caduque.',
+    roleEmailBlocked: 'No se admiten direcciones compartidas (como info@). Usa una dirección personal.',
+    roleEmail: 'Parece una dirección compartida (como info@). Las novedades llegan mejor a un buzón personal.',
+    freeProviderEmail: 'Aquí no se admiten direcciones personales. Usa tu dirección del trabajo.',
+    corporateEmail: 'Aquí no se admiten direcciones del trabajo. Usa una dirección personal.',
+    freeProviderEmailWarning: 'Parece una dirección personal. Si puedes, usa tu dirección del trabajo.',
+    corporateEmailWarning: 'Parece una dirección del trabajo. Si puedes, usa una dirección personal.',
+    queuedOffline: 'Ahora mismo no tienes conexión. Terminaremos tu suscripción cuando vuelvas a estar en línea.',
+    queuedRetry: 'No hemos podido contactar con nuestros servidores. Seguiremos intentándolo y terminaremos tu suscripción en breve.',
+    submittingAnnouncement: 'Enviando tu correo...',
+    fixErrors: 'Corrige los errores antes de enviar',
+    emailChanged: 'Correo cambiado a {email}',
+    errorAnnouncement: 'Error: {message}',
+    waitlistPosition: 'Tienes el puesto n.º {position, number} de la lista.',
+    fields: {
+      email: {
+        required: 'Escribe tu correo electrónico'
+      },
+      firstName: {
+        required: 'Dinos tu nombre',
+        maxLength: 'Tu nombre debe tener menos de 50 caracteres',
+        pattern: 'Usa solo letras en tu nombre'
+      },
+      postcode: {
+        required: 'Escribe tu código postal',
+        pattern: 'Escribe un código postal válido'
+      },
+      interests: {
+        required: 'Elige al menos una cosa que te apetezca',
+        oneOf: 'Elige entre las opciones de la lista'
+      },
+      consent: {
+        required: 'Acepta recibir nuestros correos sobre la apertura',
+        includes: 'Acepta recibir nuestros correos sobre la apertura',
+        oneOf: 'Elige entre las opciones de la lista',
+        noticeVersion: 'Nuestro aviso de privacidad ha cambiado. Recarga la página e inténtalo de nuevo.'
+      }
+    }
+  },
+
+  referrals: {
+    copied: '¡Enlace copiado!',
+    copyFailed: 'Selecciona el enlace y cópialo',
+    shareTitle: 'Crumble Bakery abre muy pronto',
+    shareText: '¡Únete conmigo a la lista de apertura de Crumble Bakery!',
+    count: '{count, plural, =0 {Todavía no se ha unido ningún amigo con tu enlace} one {# amigo se ha unido con tu enlace} other {# amigos se han unido con tu enlace}}',
+    rewardTier: '{count, plural, one {# amigo} other {# amigos}}: {reward}'
+  }
+};
@@ -15,8 +15,12 @@
 // ==========================================
 
 const CONFIG = {
-  // Launch date - Update this to your actual launch date
-  LAUNCH_DATE: new Date('2024-12-31T00:00:00').getTime(),
+  // The launch schedule is configured in the markup: the bakery's timezone
+  // on #countdown (data-launch-timezone="Europe/London") and each milestone's
+  // moment on its [data-milestone] element (data-at="2026-12-05T08:00:00Z").
+  // Or data-launch-config="./launch.json" on #countdown points at the same
+  // ({ "timeZone": "...", "milestones": [{ "id": "...", "at": "..." }] }).
+  // See LaunchSchedule.
   
   // Animation settings
   LOADING_DURATION: 2000,
@@ -25,6 +29,39 @@ const CONFIG = {
   // Countdown update interval
   COUNTDOWN_INTERVAL: 1000,
   
+  // Site modes, in the order the page moves through them. ?mode= pins one
+  // for previewing. See SiteModeManager.
+  SITE_MODE: {
+    modes: ['prelaunch', 'launch-day', 'open'],
+    param: 'mode'
+  },
+  
+  // Web Vitals (see PerformanceMonitor): [good up to, poor above], in
+  // milliseconds except CLS. With no endpoint the page logs them on
+  // localhost only.
+  PERFORMANCE: {
+    endpoint: null,
+    thresholds: {
+      LCP: [2500, 4000],
+      INP: [200, 500],
+      CLS: [0.1, 0.25],
+      FCP: [1800, 3000],
+      TTFB: [800, 1800]
+    }
+  },
+  
+  // Error reports (see ErrorHandler). With no endpoint they are only kept
+  // in the page; server/error-collector.js is one to try them with.
+  ERROR_REPORTING: {
+    endpoint: null,
+    // Share of page loads that send reports
+    sampleRate: 1,
+    // Distinct errors kept per page load, and breadcrumbs per error
+    maxReports: 25,
+    maxBreadcrumbs: 20,
+    flushDelay: 5000
+  },
+  
   // Element selectors
   SELECTORS: {
     loadingScreen: '#loading-screen',
@@ -36,6 +73,13 @@ const CONFIG = {
       minutes: '#minutes',
       seconds: '#seconds'
     },
+    countdownItem: '.countdown-item',
+    countdownLabel: '.countdown-label',
+    launchTime: '#launchTime',
+    milestones: '[data-milestone]',
+    milestoneIntro: '.milestone-intro',
+    milestoneEnd: '.milestone-end',
+    siteModeElements: '[data-site-mode]',
     scrollElements: '.animate-on-scroll',
     parallaxElements: '.parallax-element',
     floatingElements: '.floating-element'
@@ -97,6 +141,49 @@ function isElementInViewport(el, threshold = 0.1) {
   );
 }
 
+/**
+ * @param {string} url - Page or script URL
+ * @returns {string} The URL without its query string or fragment, which
+ *   may carry referral codes or tokens
+ */
+function stripUrl(url) {
+  return String(url || '').split(/[?#]/)[0];
+}
+
+/**
+ * Name an element for a report without quoting any of its text
+ * @param {Element|null} element - Element
+ * @returns {string|null} e.g. "button#consentAccept.consent-btn"
+ */
+function describeElement(element) {
+  if (!element || !element.tagName) return null;
+
+  let description = element.tagName.toLowerCase();
+  if (element.id) {
+    description += `#${element.id}`;
+  }
+  if (typeof element.className === 'string' && element.className.trim()) {
+    description += `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`;
+  }
+  return description;
+}
+
+/**
+ * Send a report with sendBeacon, which survives the page being closed.
+ * As text/plain it needs no CORS preflight, so the endpoint may be on
+ * another origin.
+ * @param {string} endpoint - URL to post to
+ * @param {Object} data - JSON body
+ */
+function sendReport(endpoint, data) {
+  const body = JSON.stringify(data);
+  if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }))) {
+    return;
+  }
+  // No beacon support, or the browser's beacon quota is used up
+  fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
 /**
  * Add leading zero to numbers less than 10
  */
@@ -105,12 +192,22 @@ function addLeadingZero(num) {
 }
 
 /**
- * Format time units for countdown
+ * Format time units for countdown, in the visitor's digits
  */
 function formatTimeUnit(unit) {
+  if (typeof i18n !== 'undefined' && i18n) {
+    return i18n.formatNumber(Math.floor(unit), { minimumIntegerDigits: 2, useGrouping: false });
+  }
   return addLeadingZero(Math.floor(unit));
 }
 
+/**
+ * Page copy in the visitor's language (js/i18n.js), or the given English
+ */
+function translate(key, params = {}, english = key) {
+  return typeof i18n !== 'undefined' && i18n ? i18n.t(key, params, english) : english;
+}
+
 // ==========================================
 // LOADING SCREEN MANAGEMENT
 // ==========================================
@@ -171,28 +268,220 @@ class LoadingManager {
   }
 }
 
+// ==========================================
+// LAUNCH SCHEDULE
+// ==========================================
+
+// An absolute instant: a date and time with "Z" or an explicit offset
+const ISO_INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+class LaunchSchedule {
+  /**
+   * The phases to count down through, each ending at one instant that is
+   * the same for everyone, plus the bakery's timezone to show them in.
+   * The last milestone is the launch itself.
+   * @param {Object} config - { timeZone: IANA name, milestones: [{ id, at: ISO instant }] },
+   *   or { timeZone, launchAt } for a single launch
+   */
+  constructor({ timeZone, milestones, launchAt } = {}) {
+    if (!timeZone) {
+      throw new Error('Launch timezone is missing (an IANA name such as "Europe/London")');
+    }
+    // Throws a RangeError for unknown zones
+    new Intl.DateTimeFormat('en', { timeZone });
+
+    const list = milestones && milestones.length ? milestones : [{ id: 'launch', at: launchAt }];
+    this.milestones = list.map(({ id, at }, index) => {
+      if (!ISO_INSTANT_PATTERN.test(at || '')) {
+        throw new Error(`Time for milestone "${id}" must be an ISO instant with an offset, e.g. 2026-12-05T08:00:00Z (got "${at}")`);
+      }
+      return { id: id || `milestone-${index + 1}`, at: Date.parse(at) };
+    });
+    this.milestones.forEach((milestone, index) => {
+      const previous = this.milestones[index - 1];
+      if (previous && milestone.at <= previous.at) {
+        throw new Error(`Milestone "${milestone.id}" must come after "${previous.id}"`);
+      }
+    });
+
+    this.timeZone = timeZone;
+    this.launchAt = this.milestones[this.milestones.length - 1].at;
+  }
+
+  /**
+   * Read the schedule from the JSON file #countdown's data-launch-config
+   * points at, or else from data attributes: data-launch-timezone on
+   * #countdown, and data-at on each milestone (or data-launch-at on
+   * #countdown for a single launch)
+   * @param {HTMLElement} element - Countdown element
+   * @param {NodeList|Array} milestoneElements - [data-milestone] elements, in order
+   * @returns {Promise<LaunchSchedule>} Schedule
+   */
+  static async fromElement(element, milestoneElements = []) {
+    const { launchAt, launchTimezone, launchConfig } = element.dataset;
+
+    if (launchConfig) {
+      const response = await fetch(launchConfig, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Launch config request failed (${response.status})`);
+      }
+      return new LaunchSchedule(await response.json());
+    }
+
+    return new LaunchSchedule({
+      timeZone: launchTimezone,
+      launchAt,
+      milestones: Array.from(milestoneElements, milestone => ({
+        id: milestone.dataset.milestone,
+        at: milestone.dataset.at
+      }))
+    });
+  }
+
+  /**
+   * The visitor's own timezone
+   * @returns {string} IANA name
+   */
+  static visitorTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * A moment as a wall-clock time in some timezone
+   * @param {number} at - Epoch milliseconds
+   * @param {string} timeZone - IANA name
+   * @param {string} locale - Locale for the formatting
+   * @param {boolean} withZone - Append the zone's short name
+   * @returns {string} e.g. "Saturday, 5 December at 08:00 GMT"
+   */
+  format(at, timeZone, locale, withZone = true) {
+    return new Intl.DateTimeFormat(locale, {
+      timeZone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: withZone ? 'short' : undefined
+    }).format(at);
+  }
+
+  /**
+   * The midnight after a moment, in the bakery's timezone
+   * @param {number} at - Epoch milliseconds
+   * @returns {number} Epoch milliseconds
+   */
+  endOfDay(at) {
+    const dateFormat = new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, dateStyle: 'short' });
+    const day = dateFormat.format(at);
+    const minute = 60 * 1000;
+
+    // The first minute with a different date, within the next two days
+    let low = Math.floor(at / minute);
+    let high = low + 2 * 24 * 60;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (dateFormat.format(middle * minute) === day) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return high * minute;
+  }
+
+  /**
+   * Whether the visitor's clock shows the same time as the bakery's
+   * @param {number} at - Epoch milliseconds
+   * @param {string} locale - Locale
+   * @returns {boolean} Same wall-clock time
+   */
+  isVisitorLocal(at, locale) {
+    return this.format(at, this.timeZone, locale, false) ===
+      this.format(at, LaunchSchedule.visitorTimeZone(), locale, false);
+  }
+}
+
 // ==========================================
 // COUNTDOWN TIMER
 // ==========================================
 
+/**
+ * Counts down through the schedule's milestones one after another,
+ * publishing its progress on the event bus:
+ *
+ *   milestone:start  { milestone, index, total }   counting down to it begins
+ *   milestone:end    { milestone, index, total }   its moment has come
+ *   countdown:tick   { milestone, remaining, days, hours, minutes, seconds }
+ *
+ * Milestones that passed before the page loaded are skipped silently.
+ */
 class CountdownTimer {
-  constructor() {
+  /**
+   * @param {Object} events - Event bus to publish on
+   */
+  constructor(events) {
+    this.events = events;
     this.countdownElement = document.querySelector(CONFIG.SELECTORS.countdown);
     this.countdownNumbers = {};
+    this.countdownLabels = {};
+    this.launchTimeElement = document.querySelector(CONFIG.SELECTORS.launchTime);
+    this.milestoneElements = document.querySelectorAll(CONFIG.SELECTORS.milestones);
+    // Server-corrected clock from js/time-sync.js, when it is loaded
+    this.clock = typeof timeSync !== 'undefined' ? timeSync : null;
     this.intervalId = null;
-    this.launchDate = CONFIG.LAUNCH_DATE;
+    this.schedule = null;
+    // Index of the milestone being counted down to
+    this.phase = 0;
+    // Whether the phases that ended before the page loaded are behind us
+    this.caughtUp = false;
+    this.launched = false;
     
-    // Get countdown number elements
+    // Get countdown number elements, and the labels under them
     Object.keys(CONFIG.SELECTORS.countdownNumbers).forEach(key => {
       this.countdownNumbers[key] = document.querySelector(
         CONFIG.SELECTORS.countdownNumbers[key]
       );
+      const item = this.countdownNumbers[key] && this.countdownNumbers[key].closest(CONFIG.SELECTORS.countdownItem);
+      const label = item && item.querySelector(CONFIG.SELECTORS.countdownLabel);
+      if (label) {
+        this.countdownLabels[key] = { element: label, english: label.textContent };
+      }
     });
   }
 
-  init() {
+  async init() {
     if (!this.countdownElement) return;
     
+    try {
+      this.schedule = await LaunchSchedule.fromElement(this.countdownElement, this.milestoneElements);
+    } catch (error) {
+      console.error('Countdown disabled, invalid launch configuration:', error);
+      return;
+    }
+    
+    // Redraw straight away when the visitor switches language. Milestone
+    // copy is page markup, which js/i18n.js translates in place.
+    if (typeof i18n !== 'undefined' && i18n) {
+      i18n.onChange(() => {
+        this.renderLaunchTime();
+        if (!this.launched) {
+          this.updateCountdown();
+        } else if (!this.launchContent()) {
+          this.renderLaunchMessage();
+        }
+      });
+    }
+    
+    // Jump straight to the corrected time after each sync
+    if (this.clock) {
+      this.clock.onChange(() => {
+        if (!this.launched) {
+          this.updateCountdown();
+        }
+      });
+    }
+    
     // Initial update
     this.updateCountdown();
     
@@ -202,17 +491,84 @@ class CountdownTimer {
     }, CONFIG.COUNTDOWN_INTERVAL);
   }
 
+  /**
+   * Current time by the server's clock, or the visitor's without time sync
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  /**
+   * @returns {Object|null} Milestone being counted down to
+   */
+  get currentMilestone() {
+    return this.schedule ? this.schedule.milestones[this.phase] || null : null;
+  }
+
   updateCountdown() {
-    const now = new Date().getTime();
-    const distance = this.launchDate - now;
+    const now = this.now();
+    const { milestones } = this.schedule;
+    
+    // Step past every milestone whose moment has come
+    while (this.phase < milestones.length && milestones[this.phase].at <= now) {
+      // A fast local clock mustn't end a phase before the server has had
+      // its say
+      if (this.clock && this.clock.isSyncing()) {
+        this.updateDisplay(this.calculateTimeUnits(0));
+        return;
+      }
+      this.advance();
+    }
     
-    if (distance < 0) {
+    if (!this.caughtUp) {
+      this.caughtUp = true;
+      this.renderMilestones();
+      this.renderLaunchTime();
+      if (this.currentMilestone) {
+        this.events.emit('milestone:start', this.milestoneDetail(this.phase));
+      }
+    }
+    
+    if (!this.currentMilestone) {
       this.handleLaunchReached();
       return;
     }
     
+    const distance = this.currentMilestone.at - now;
     const timeUnits = this.calculateTimeUnits(distance);
     this.updateDisplay(timeUnits);
+    
+    const detail = { milestone: this.currentMilestone, remaining: distance };
+    Object.keys(timeUnits).forEach(unit => {
+      detail[unit] = Math.floor(timeUnits[unit]);
+    });
+    this.events.emit('countdown:tick', detail);
+  }
+
+  /**
+   * End the current phase and start counting down to the next
+   */
+  advance() {
+    const ended = this.phase;
+    this.phase += 1;
+    if (!this.caughtUp) return;
+
+    this.renderMilestones();
+    this.renderLaunchTime();
+    this.events.emit('milestone:end', this.milestoneDetail(ended));
+    if (this.currentMilestone) {
+      this.events.emit('milestone:start', this.milestoneDetail(this.phase));
+    }
+  }
+
+  /**
+   * @param {number} index - Milestone index
+   * @returns {Object} Event detail
+   */
+  milestoneDetail(index) {
+    const { milestones } = this.schedule;
+    return { milestone: milestones[index], index, total: milestones.length };
   }
 
   calculateTimeUnits(distance) {
@@ -226,6 +582,8 @@ class CountdownTimer {
 
   updateDisplay(timeUnits) {
     Object.keys(timeUnits).forEach(unit => {
+      this.updateLabel(unit, Math.floor(timeUnits[unit]));
+
       const element = this.countdownNumbers[unit];
       if (element) {
         const newValue = formatTimeUnit(timeUnits[unit]);
@@ -241,20 +599,101 @@ class CountdownTimer {
     });
   }
 
+  /**
+   * Show the current milestone's label and headline, under the end-of-phase
+   * content of the one before it
+   */
+  renderMilestones() {
+    this.milestoneElements.forEach(element => {
+      const index = this.schedule.milestones.findIndex(milestone => milestone.id === element.dataset.milestone);
+      const intro = element.querySelector(CONFIG.SELECTORS.milestoneIntro);
+      const end = element.querySelector(CONFIG.SELECTORS.milestoneEnd);
+      const current = index === this.phase;
+      const justEnded = index === this.phase - 1 && Boolean(end);
+
+      if (intro) intro.hidden = !current;
+      if (end) end.hidden = !justEnded;
+      element.hidden = !current && !justEnded;
+    });
+  }
+
+  /**
+   * "Opening Saturday, 5 December at 08:00 GMT (09:00 CET your time)"
+   */
+  renderLaunchTime() {
+    if (!this.launchTimeElement || !this.schedule) return;
+
+    const milestone = this.currentMilestone;
+    if (!milestone) {
+      this.launchTimeElement.hidden = true;
+      return;
+    }
+
+    const locale = typeof i18n !== 'undefined' && i18n ? i18n.locale : undefined;
+    const bakeryTime = this.schedule.format(milestone.at, this.schedule.timeZone, locale);
+
+    this.launchTimeElement.textContent = this.schedule.isVisitorLocal(milestone.at, locale)
+      ? translate('countdown.opensAt', { bakeryTime }, 'Opening {bakeryTime}')
+      : translate('countdown.opensAtWithLocal', {
+        bakeryTime,
+        localTime: this.schedule.format(milestone.at, LaunchSchedule.visitorTimeZone(), locale)
+      }, 'Opening {bakeryTime} ({localTime} your time)');
+    this.launchTimeElement.hidden = false;
+  }
+
+  /**
+   * "1 Day" / "2 Days": the label follows the plural rules of the locale
+   */
+  updateLabel(unit, count) {
+    const label = this.countdownLabels[unit];
+    if (!label) return;
+
+    const text = translate(`countdown.${unit}`, { count }, label.english);
+    if (label.element.textContent !== text) {
+      label.element.textContent = text;
+    }
+  }
+
+  /**
+   * End-of-phase content of the last milestone, if the page has any
+   * @returns {HTMLElement|null} Content element
+   */
+  launchContent() {
+    const last = this.milestoneElements[this.milestoneElements.length - 1];
+    return last ? last.querySelector(CONFIG.SELECTORS.milestoneEnd) : null;
+  }
+
   handleLaunchReached() {
     clearInterval(this.intervalId);
-    
-    if (this.countdownElement) {
-      this.countdownElement.innerHTML = `
-        <div class="launch-message">
-          <i class="fas fa-rocket"></i>
-          <h3>We're Live!</h3>
-          <p>Crumble Bakery is now open!</p>
-        </div>
-      `;
+    this.launched = true;
+
+    // The last milestone's own content takes the countdown's place
+    if (this.launchContent()) {
+      this.countdownElement.hidden = true;
+    } else {
+      this.renderLaunchMessage();
     }
   }
 
+  renderLaunchMessage() {
+    if (!this.countdownElement) return;
+
+    const message = document.createElement('div');
+    message.className = 'launch-message';
+
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-rocket';
+
+    const title = document.createElement('h3');
+    title.textContent = translate('countdown.launchTitle', {}, 'We\'re Live!');
+
+    const text = document.createElement('p');
+    text.textContent = translate('countdown.launchText', {}, 'Crumble Bakery is now open!');
+
+    message.append(icon, title, text);
+    this.countdownElement.replaceChildren(message);
+  }
+
   destroy() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
@@ -262,6 +701,128 @@ class CountdownTimer {
   }
 }
 
+// ==========================================
+// SITE MODE
+// ==========================================
+
+/**
+ * What the page is for: counting down ("prelaunch"), the opening day
+ * itself ("launch-day", until midnight in the bakery's timezone) or
+ * trading as usual ("open"). Elements marked data-site-mode="prelaunch"
+ * (or several modes, space separated) only show in those modes. The page
+ * only moves forward through the modes, switching live as the launch
+ * passes; ?mode=open pins a mode for previewing. Each switch is published
+ * as site-mode:change { mode, previous }.
+ */
+class SiteModeManager {
+  /**
+   * @param {CountdownTimer} countdownTimer - Countdown whose launch to follow
+   * @param {Object} events - Event bus
+   */
+  constructor(countdownTimer, events) {
+    this.countdownTimer = countdownTimer;
+    this.events = events;
+    this.elements = document.querySelectorAll(CONFIG.SELECTORS.siteModeElements);
+    this.mode = null;
+    this.pinned = false;
+    this.timeoutId = null;
+  }
+
+  /**
+   * Enter the mode the launch schedule (or ?mode=) calls for, and keep
+   * following the schedule
+   */
+  init() {
+    const requested = new URLSearchParams(window.location.search).get(CONFIG.SITE_MODE.param);
+    if (requested) {
+      if (CONFIG.SITE_MODE.modes.includes(requested)) {
+        this.pinned = true;
+        this.enter(requested);
+        return;
+      }
+      console.warn(`Unknown site mode "${requested}", following the launch schedule`);
+    }
+
+    this.update();
+
+    // The countdown reaching its last milestone opens the doors
+    this.events.on('milestone:end', ({ index, total }) => {
+      if (index === total - 1) {
+        this.update();
+      }
+    });
+    if (this.countdownTimer.clock) {
+      this.countdownTimer.clock.onChange(() => this.update());
+    }
+  }
+
+  /**
+   * Catch up on anything that happened while the tab was hidden
+   */
+  resume() {
+    this.update();
+  }
+
+  /**
+   * Mode the launch schedule calls for right now
+   * @returns {string} Site mode
+   */
+  scheduledMode() {
+    const { schedule } = this.countdownTimer;
+    if (!schedule) return 'prelaunch';
+
+    const now = this.countdownTimer.now();
+    if (now < schedule.launchAt) return 'prelaunch';
+    return now < schedule.endOfDay(schedule.launchAt) ? 'launch-day' : 'open';
+  }
+
+  /**
+   * Move forward to the scheduled mode, one transition at a time
+   */
+  update() {
+    // Until the server clock is known, stay as the page was served
+    // (prelaunch) rather than open early on a fast local clock
+    const clock = this.countdownTimer.clock;
+    if (this.pinned || (clock && clock.isSyncing())) return;
+
+    const { modes } = CONFIG.SITE_MODE;
+    const target = this.scheduledMode();
+    if (this.mode === null) {
+      this.enter(target);
+    }
+    while (modes.indexOf(this.mode) < modes.indexOf(target)) {
+      this.enter(modes[modes.indexOf(this.mode) + 1]);
+    }
+
+    // Launch day ends at midnight in the bakery's timezone
+    clearTimeout(this.timeoutId);
+    if (this.mode === 'launch-day') {
+      const { schedule } = this.countdownTimer;
+      const remaining = schedule.endOfDay(schedule.launchAt) - this.countdownTimer.now();
+      this.timeoutId = setTimeout(() => this.update(), remaining);
+    }
+  }
+
+  /**
+   * Show the elements for a mode and hide the rest
+   * @param {string} mode - Site mode
+   */
+  enter(mode) {
+    const previous = this.mode;
+    this.mode = mode;
+
+    this.elements.forEach(element => {
+      element.hidden = !element.dataset.siteMode.split(/\s+/).includes(mode);
+    });
+
+    this.events.emit('site-mode:change', { mode, previous });
+  }
+
+  destroy() {
+    clearTimeout(this.timeoutId);
+  }
+}
+
 // ==========================================
 // SCROLL EFFECTS MANAGER
 // ==========================================
@@ -331,18 +892,34 @@ class FloatingElementsManager {
     this.mouseX = 0;
     this.mouseY = 0;
     this.animationId = null;
+    this.paused = false;
+    this.handleMouseMove = throttle((e) => {
+      this.mouseX = (e.clientX / window.innerWidth) * 2 - 1;
+      this.mouseY = (e.clientY / window.innerHeight) * 2 - 1;
+    }, 50);
+    this.handleResize = debounce(() => this.update(), 250);
   }
 
   init() {
-    if (window.innerWidth < 768) return; // Disable on mobile
-    
     // Mouse move event for interactive floating
-    document.addEventListener('mousemove', throttle((e) => {
-      this.mouseX = (e.clientX / window.innerWidth) * 2 - 1;
-      this.mouseY = (e.clientY / window.innerHeight) * 2 - 1;
-    }, 50));
+    document.addEventListener('mousemove', this.handleMouseMove);
+    window.addEventListener('resize', this.handleResize);
+    
+    this.update();
+  }
+
+  /**
+   * Animate while the tab is visible on a wide enough screen
+   */
+  update() {
+    const active = !this.paused && window.innerWidth >= 768; // Disable on mobile
     
-    this.animate();
+    if (active && !this.animationId) {
+      this.animate();
+    } else if (!active && this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
   }
 
   animate() {
@@ -357,10 +934,20 @@ class FloatingElementsManager {
     this.animationId = requestAnimationFrame(() => this.animate());
   }
 
+  pause() {
+    this.paused = true;
+    this.update();
+  }
+
+  resume() {
+    this.paused = false;
+    this.update();
+  }
+
   destroy() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    window.removeEventListener('resize', this.handleResize);
+    this.pause();
   }
 }
 
@@ -403,64 +990,243 @@ class SmoothScrollHandler {
 // PERFORMANCE MONITOR
 // ==========================================
 
+/**
+ * Measures the Core Web Vitals (LCP, INP, CLS) and the loading metrics
+ * behind them (FCP, TTFB), rates each against CONFIG.PERFORMANCE.thresholds
+ * with what caused it, and reports them all once, when the page is first
+ * hidden. LCP stops at the first click or key press; CLS is the worst
+ * session window of shifts (gaps under 1s, 5s at most); INP is the slowest
+ * interaction, ignoring one outlier per 50.
+ */
 class PerformanceMonitor {
-  constructor() {
+  /**
+   * @param {Object} options - See CONFIG.PERFORMANCE
+   */
+  constructor(options = CONFIG.PERFORMANCE) {
+    this.config = options;
+    // name -> { name, value, rating, attribution }
     this.metrics = {};
+    // { observer, handle } pairs, to drain before reporting
     this.observers = [];
+    this.lcpObserver = null;
+    this.clsSession = { value: 0, entries: [] };
+    // Slowest interactions, longest first: { id, duration, entry }
+    this.interactions = [];
+    this.interactionCount = 0;
+    this.reported = false;
+    this.finalizeLCP = this.finalizeLCP.bind(this);
+    this.handlePageHide = () => this.report();
   }
 
   init() {
-    if (!window.performance) return;
-    
-    // Monitor page load performance
-    window.addEventListener('load', () => {
-      this.recordLoadMetrics();
+    if (!window.performance || !('PerformanceObserver' in window)) return;
+
+    this.recordTTFB();
+    this.observe('paint', entry => this.recordFCP(entry));
+    this.lcpObserver = this.observe('largest-contentful-paint', entry => {
+      // Entries already queued when it was finalized
+      if (this.lcpObserver) this.recordLCP(entry);
     });
-    
-    // Monitor largest contentful paint
-    if ('PerformanceObserver' in window) {
-      this.observeLCP();
-      this.observeFID();
+    if (this.observe('layout-shift', entry => this.recordLayoutShift(entry))) {
+      // No shifts at all is a perfect score, not a missing one
+      this.setMetric('CLS', 0, { largestShiftTarget: null, largestShiftTime: null, largestShiftValue: 0 });
     }
+    this.observe('event', entry => this.recordInteraction(entry), { durationThreshold: 40 });
+    // The first input is reported even when it is quick
+    this.observe('first-input', entry => this.recordInteraction(entry));
+
+    // The largest paint after the visitor starts interacting isn't part of
+    // loading
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this.finalizeLCP, { capture: true, once: true });
+    });
+    window.addEventListener('pagehide', this.handlePageHide);
+  }
+
+  /**
+   * @param {string} type - Performance entry type
+   * @param {Function} handle - Called with each entry
+   * @param {Object} options - Extra observe() options
+   * @returns {PerformanceObserver|null} Observer, or null if unsupported
+   */
+  observe(type, handle, options = {}) {
+    if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return null;
+
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(handle));
+    observer.observe({ type, buffered: true, ...options });
+    this.observers.push({ observer, handle });
+    return observer;
   }
 
-  recordLoadMetrics() {
+  /**
+   * Milliseconds since the page started, for a prerendered page counted
+   * from when it was shown
+   * @param {number} time - High resolution timestamp
+   * @returns {number} Milliseconds
+   */
+  sinceActivation(time) {
     const navigation = performance.getEntriesByType('navigation')[0];
-    if (navigation) {
-      this.metrics.loadTime = navigation.loadEventEnd - navigation.loadEventStart;
-      this.metrics.domContentLoaded = navigation.domContentLoadedEventEnd - navigation.navigationStart;
-      
-      console.log('Page Performance Metrics:', this.metrics);
+    return Math.max(time - ((navigation && navigation.activationStart) || 0), 0);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {number} value - Metric value
+   * @param {Object} attribution - What it came from
+   */
+  setMetric(name, value, attribution) {
+    const [good, poor] = this.config.thresholds[name];
+    const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+
+    this.metrics[name] = {
+      name,
+      value: rounded,
+      rating: rounded <= good ? 'good' : rounded <= poor ? 'needs-improvement' : 'poor',
+      attribution
+    };
+  }
+
+  recordTTFB() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    if (!navigation) return;
+
+    this.setMetric('TTFB', this.sinceActivation(navigation.responseStart), {
+      dnsDuration: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connectionDuration: Math.round(navigation.connectEnd - navigation.connectStart),
+      requestDuration: Math.round(navigation.responseStart - navigation.requestStart),
+      navigationType: navigation.type
+    });
+  }
+
+  recordFCP(entry) {
+    if (entry.name !== 'first-contentful-paint') return;
+
+    const value = this.sinceActivation(entry.startTime);
+    const ttfb = this.metrics.TTFB ? this.metrics.TTFB.value : 0;
+    this.setMetric('FCP', value, {
+      timeToFirstByte: ttfb,
+      firstByteToFCP: Math.round(value - ttfb)
+    });
+  }
+
+  recordLCP(entry) {
+    this.setMetric('LCP', this.sinceActivation(entry.startTime), {
+      element: describeElement(entry.element),
+      url: entry.url ? stripUrl(entry.url) : null,
+      size: entry.size
+    });
+  }
+
+  /**
+   * Take the last candidates and stop watching for larger paints
+   */
+  finalizeLCP() {
+    if (!this.lcpObserver) return;
+
+    this.lcpObserver.takeRecords().forEach(entry => this.recordLCP(entry));
+    this.lcpObserver.disconnect();
+    this.lcpObserver = null;
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.removeEventListener(type, this.finalizeLCP, { capture: true });
+    });
+  }
+
+  /**
+   * Add a shift to the current session window, or start a new one
+   */
+  recordLayoutShift(entry) {
+    // Shifts right after input are expected
+    if (entry.hadRecentInput) return;
+
+    const session = this.clsSession;
+    const first = session.entries[0];
+    const last = session.entries[session.entries.length - 1];
+    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+      session.value += entry.value;
+      session.entries.push(entry);
+    } else {
+      this.clsSession = { value: entry.value, entries: [entry] };
     }
+
+    const current = this.clsSession;
+    if (this.metrics.CLS && current.value <= this.metrics.CLS.value) return;
+
+    const largest = current.entries.reduce((a, b) => (b.value > a.value ? b : a));
+    const source = (largest.sources || []).find(item => item.node) || null;
+    this.setMetric('CLS', current.value, {
+      largestShiftTarget: source ? describeElement(source.node) : null,
+      largestShiftTime: Math.round(largest.startTime),
+      largestShiftValue: Math.round(largest.value * 10000) / 10000
+    });
   }
 
-  observeLCP() {
-    const observer = new PerformanceObserver((entryList) => {
-      const entries = entryList.getEntries();
-      const lastEntry = entries[entries.length - 1];
-      this.metrics.lcp = lastEntry.startTime;
+  recordInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    const known = this.interactions.find(item => item.id === entry.interactionId);
+    if (known) {
+      if (entry.duration > known.duration) {
+        known.duration = entry.duration;
+        known.entry = entry;
+      }
+    } else {
+      this.interactionCount += 1;
+      this.interactions.push({ id: entry.interactionId, duration: entry.duration, entry });
+    }
+    this.interactions.sort((a, b) => b.duration - a.duration);
+    this.interactions.splice(10);
+
+    const count = performance.interactionCount || this.interactionCount;
+    const slowest = this.interactions[Math.min(this.interactions.length - 1, Math.floor(count / 50))];
+    const { entry: worst } = slowest;
+    this.setMetric('INP', slowest.duration, {
+      target: describeElement(worst.target),
+      type: worst.name,
+      inputDelay: Math.round(worst.processingStart - worst.startTime),
+      processingDuration: Math.round(worst.processingEnd - worst.processingStart),
+      presentationDelay: Math.round(worst.startTime + worst.duration - worst.processingEnd)
     });
-    
-    observer.observe({ entryTypes: ['largest-contentful-paint'] });
-    this.observers.push(observer);
   }
 
-  observeFID() {
-    const observer = new PerformanceObserver((entryList) => {
-      const entries = entryList.getEntries();
-      entries.forEach(entry => {
-        if (entry.name === 'first-input') {
-          this.metrics.fid = entry.processingStart - entry.startTime;
-        }
-      });
+  /**
+   * @returns {Array<Object>} Metrics measured so far
+   */
+  getMetrics() {
+    return Object.values(this.metrics);
+  }
+
+  /**
+   * Send the metrics, the first time the page is hidden
+   */
+  report() {
+    if (this.reported) return;
+    this.reported = true;
+
+    this.finalizeLCP();
+    this.observers.forEach(({ observer, handle }) => {
+      observer.takeRecords().forEach(handle);
     });
-    
-    observer.observe({ entryTypes: ['first-input'] });
-    this.observers.push(observer);
+
+    const metrics = this.getMetrics();
+    if (metrics.length === 0) return;
+
+    if (this.config.endpoint) {
+      sendReport(this.config.endpoint, { url: stripUrl(window.location.href), metrics });
+    } else if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+      console.log('Web Vitals:', metrics);
+    }
+  }
+
+  /**
+   * The tab was hidden, which may be the last chance to report
+   */
+  pause() {
+    this.report();
   }
 
   destroy() {
-    this.observers.forEach(observer => observer.disconnect());
+    this.observers.forEach(({ observer }) => observer.disconnect());
+    window.removeEventListener('pagehide', this.handlePageHide);
   }
 }
 
@@ -468,9 +1234,61 @@ class PerformanceMonitor {
 // ERROR HANDLER
 // ==========================================
 
+/**
+ * Stable identity for an error: its message and top stack frames, with
+ * line and column numbers, origins and query strings taken out so the
+ * same bug groups together across deploys and pages
+ * @param {string} message - Error message
+ * @param {string} stack - Stack trace, if any
+ * @returns {string} Hex hash
+ */
+function fingerprintError(message, stack) {
+  const frames = String(stack || '').split('\n')
+    .map(line => line.trim())
+    // Chrome "at fn (url:1:2)", Firefox and Safari "fn@url:1:2"
+    .filter(line => /^at\s|@/.test(line))
+    .slice(0, 5)
+    .map(line => line
+      .replace(/^at\s+/, '')
+      .replace(/[a-z][a-z0-9+.-]*:\/\/[^/\s)]+/gi, '')
+      .replace(/[?#][^:\s)]*/g, '')
+      .replace(/(:\d+)+\)?$/, '')
+      .replace(/[()]/g, ''));
+  const key = [String(message).replace(/\d+/g, '0'), ...frames].join('\n');
+
+  // FNV-1a, 32 bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Collects uncaught errors and rejections, groups repeats of the same
+ * error (see fingerprintError) and sends them to
+ * CONFIG.ERROR_REPORTING.endpoint. Each report carries the breadcrumbs
+ * that led up to its first occurrence: recent clicks, signup form events
+ * and module starts.
+ */
 class ErrorHandler {
-  constructor() {
-    this.errors = [];
+  /**
+   * @param {Object|null} events - App event bus to take breadcrumbs from
+   * @param {Object} options - See CONFIG.ERROR_REPORTING
+   */
+  constructor(events = null, options = CONFIG.ERROR_REPORTING) {
+    this.events = events;
+    this.config = options;
+    // fingerprint -> report
+    this.reports = new Map();
+    // Distinct errors turned away once the buffer was full
+    this.dropped = 0;
+    this.breadcrumbs = [];
+    // Decided once per page load, so a sampled visit reports everything
+    this.sampled = Math.random() < this.config.sampleRate;
+    this.flushTimeout = null;
+    this.handlePageHide = () => this.flush();
   }
 
   init() {
@@ -478,7 +1296,7 @@ class ErrorHandler {
     window.addEventListener('error', (e) => {
       this.handleError({
         message: e.message,
-        source: e.filename,
+        source: stripUrl(e.filename),
         line: e.lineno,
         column: e.colno,
         stack: e.error?.stack
@@ -488,31 +1306,484 @@ class ErrorHandler {
     // Catch unhandled promise rejections
     window.addEventListener('unhandledrejection', (e) => {
       this.handleError({
-        message: 'Unhandled Promise Rejection',
-        reason: e.reason
+        message: `Unhandled Promise Rejection: ${e.reason?.message || e.reason}`,
+        stack: e.reason?.stack
       });
     });
+
+    // Clicks, described by what was clicked rather than any text in it
+    document.addEventListener('click', (e) => {
+      const target = e.target instanceof Element
+        ? e.target.closest('a, button, input, select, label, summary, [id]') || e.target
+        : null;
+      if (target) {
+        this.addBreadcrumb('click', describeElement(target));
+      }
+    }, true);
+
+    if (this.events) {
+      this.events.on('module:ready', ({ name }) => this.addBreadcrumb('module', `${name} started`));
+      this.events.on('module:failed', ({ name, error }) => {
+        this.addBreadcrumb('module', `${name} failed`);
+        this.handleError({
+          message: `Module "${name}" failed to start: ${error?.message || error}`,
+          stack: error?.stack
+        });
+      });
+      this.events.on('form:invalid', ({ field, reason }) => this.addBreadcrumb('form', `${field} invalid: ${reason}`));
+      this.events.on('form:submit', () => this.addBreadcrumb('form', 'submitted'));
+      this.events.on('form:submitted', ({ queued }) => this.addBreadcrumb('form', queued ? 'delivered from queue' : 'accepted'));
+      this.events.on('form:failed', ({ code }) => this.addBreadcrumb('form', `failed: ${code}`));
+    }
+
+    window.addEventListener('pagehide', this.handlePageHide);
+  }
+
+  /**
+   * Remember something that happened, keeping only the most recent
+   * @param {string} category - click, form or module
+   * @param {string} message - What happened
+   */
+  addBreadcrumb(category, message) {
+    this.breadcrumbs.push({ category, message, at: new Date().toISOString() });
+    if (this.breadcrumbs.length > this.config.maxBreadcrumbs) {
+      this.breadcrumbs.shift();
+    }
   }
 
   handleError(errorInfo) {
-    this.errors.push({
-      ...errorInfo,
-      timestamp: new Date().toISOString(),
-      userAgent: navigator.userAgent,
-      url: window.location.href
-    });
+    const fingerprint = fingerprintError(errorInfo.message, errorInfo.stack);
+    const now = new Date().toISOString();
+    const existing = this.reports.get(fingerprint);
+
+    if (existing) {
+      existing.count += 1;
+      existing.lastSeen = now;
+    } else if (this.reports.size >= this.config.maxReports) {
+      this.dropped += 1;
+    } else {
+      this.reports.set(fingerprint, {
+        ...errorInfo,
+        fingerprint,
+        count: 1,
+        // Occurrences already sent
+        reported: 0,
+        firstSeen: now,
+        lastSeen: now,
+        breadcrumbs: this.breadcrumbs.slice(),
+        userAgent: navigator.userAgent,
+        url: stripUrl(window.location.href)
+      });
+    }
     
     // Log to console in development
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
       console.error('Application Error:', errorInfo);
     }
     
-    // In production, you might want to send errors to a logging service
-    // this.sendErrorToService(errorInfo);
+    // Send soon, so one burst of errors goes in one request
+    if (!this.flushTimeout) {
+      this.flushTimeout = setTimeout(() => this.flush(), this.config.flushDelay);
+    }
+  }
+
+  /**
+   * Send the occurrences not reported yet
+   */
+  flush() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+
+    const { endpoint } = this.config;
+    if (!endpoint || !this.sampled) return;
+
+    const reports = [];
+    this.reports.forEach(report => {
+      if (report.count > report.reported) {
+        const { reported, ...rest } = report;
+        reports.push({ ...rest, count: report.count - reported });
+        report.reported = report.count;
+      }
+    });
+    if (reports.length === 0 && this.dropped === 0) return;
+
+    sendReport(endpoint, { reports, dropped: this.dropped, sentAt: new Date().toISOString() });
+    this.dropped = 0;
+  }
+
+  /**
+   * The tab was hidden: it may never come back, so send now
+   */
+  pause() {
+    this.flush();
   }
 
   getErrors() {
-    return this.errors;
+    return Array.from(this.reports.values());
+  }
+
+  destroy() {
+    this.flush();
+    window.removeEventListener('pagehide', this.handlePageHide);
+  }
+}
+
+// ==========================================
+// EVENT BUS
+// ==========================================
+
+// Events modules can publish, with the fields each one must carry
+const APP_EVENTS = {
+  // ModuleRegistry
+  'module:ready': ['name'],
+  'module:failed': ['name', 'error'],
+  // CountdownTimer
+  'milestone:start': ['milestone', 'index', 'total'],
+  'milestone:end': ['milestone', 'index', 'total'],
+  'countdown:tick': ['milestone', 'remaining', 'days', 'hours', 'minutes', 'seconds'],
+  // SiteModeManager; previous is null the first time
+  'site-mode:change': ['mode', 'previous'],
+  // EmailFormHandler. form:invalid fires when a field's problem changes,
+  // form:submit when a valid signup is sent and form:submitted once it is
+  // accepted (waitlist is null when the API sent none)
+  'form:focus': ['field'],
+  'form:invalid': ['field', 'reason'],
+  'form:submit': [],
+  'form:submitted': ['waitlist', 'queued'],
+  'form:failed': ['code'],
+  // Experiments: the visitor's variant of each experiment as it is shown,
+  // and again when they sign up
+  'experiment:exposure': ['experiment', 'variant'],
+  'experiment:conversion': ['experiment', 'variant']
+};
+
+/**
+ * Publish/subscribe between modules. Event types are declared up front
+ * (APP_EVENTS, or define()), so a typo in a name or a missing field fails
+ * loudly instead of never firing.
+ */
+class EventBus {
+  /**
+   * @param {Object} types - Event type -> required detail fields
+   */
+  constructor(types = APP_EVENTS) {
+    this.types = new Map(Object.entries(types));
+    this.listeners = new Map();
+  }
+
+  /**
+   * Declare another event type
+   * @param {string} type - Event name
+   * @param {Array<string>} fields - Fields its detail must have
+   */
+  define(type, fields = []) {
+    if (this.types.has(type)) {
+      throw new Error(`Event "${type}" is already defined`);
+    }
+    this.types.set(type, fields);
+  }
+
+  /**
+   * @param {string} type - Event name
+   * @param {Function} listener - Called with the event detail
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    this.check(type);
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+
+  /**
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail, with every declared field
+   */
+  emit(type, detail = {}) {
+    this.check(type);
+    const missing = this.types.get(type).filter(field => !(field in detail));
+    if (missing.length > 0) {
+      throw new TypeError(`Event "${type}" is missing ${missing.join(', ')}`);
+    }
+
+    (this.listeners.get(type) || []).forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`${type} listener failed:`, error);
+      }
+    });
+  }
+
+  check(type) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown event "${type}"`);
+    }
+  }
+}
+
+// ==========================================
+// MODULE REGISTRY
+// ==========================================
+
+/**
+ * Creates, starts and stops the page's modules. Each is registered with a
+ * factory and the modules it needs:
+ *
+ *   registry.register('siteModeManager', {
+ *     dependsOn: ['countdownTimer'],
+ *     create: ({ get, events }) => new SiteModeManager(get('countdownTimer'), events)
+ *   });
+ *
+ * A module is created and its init() run (which may return a promise) once
+ * its dependencies have finished. Its optional pause(), resume() and
+ * destroy() hooks run when the tab is hidden, shown again and when the
+ * module goes away. Listeners added through the context's events are
+ * removed with the module.
+ */
+class ModuleRegistry {
+  /**
+   * @param {EventBus} bus - Event bus shared by the modules
+   */
+  constructor(bus) {
+    this.bus = bus;
+    // name -> { name, dependsOn, early, create, instance, ready, subscriptions }
+    this.entries = new Map();
+    // Initialised entries, each after the modules it depends on
+    this.running = [];
+    this.started = false;
+    this.paused = false;
+  }
+
+  /**
+   * @param {string} name - Module name
+   * @param {Object} definition - { create(context), dependsOn = [], early = false };
+   *   early modules start before the DOM is ready
+   * @returns {ModuleRegistry} This registry
+   */
+  register(name, { create, dependsOn = [], early = false }) {
+    if (this.entries.has(name)) {
+      throw new Error(`Module "${name}" is already registered`);
+    }
+    if (typeof create !== 'function') {
+      throw new TypeError(`Module "${name}" needs a create function`);
+    }
+
+    const entry = { name, dependsOn, early, create, instance: null, ready: null, subscriptions: [] };
+    this.entries.set(name, entry);
+
+    // Late arrivals start straight away
+    if (this.started) {
+      this.startModule(entry).catch(() => {});
+    }
+    return this;
+  }
+
+  /**
+   * Destroy a module and forget it
+   * @param {string} name - Module name
+   * @returns {boolean} Whether it was registered
+   */
+  unregister(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return false;
+
+    const dependents = Array.from(this.entries.values())
+      .filter(other => other.dependsOn.includes(name))
+      .map(other => other.name);
+    if (dependents.length > 0) {
+      throw new Error(`Module "${name}" is needed by ${dependents.join(', ')}`);
+    }
+
+    this.stopModule(entry);
+    this.entries.delete(name);
+    return true;
+  }
+
+  /**
+   * @param {string} name - Module name
+   * @returns {Object|null} Module instance, once created
+   */
+  get(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.instance : null;
+  }
+
+  /**
+   * @returns {Object} Created module instances by name
+   */
+  instances() {
+    const instances = {};
+    this.entries.forEach(entry => {
+      if (entry.instance) instances[entry.name] = entry.instance;
+    });
+    return instances;
+  }
+
+  /**
+   * Start every registered module in dependency order
+   * @param {Object} options - { early: only the modules marked early }
+   * @returns {Promise} Settles once they have all initialised or failed
+   */
+  start({ early = false } = {}) {
+    if (!early) {
+      this.started = true;
+    }
+
+    const pending = [];
+    this.entries.forEach(entry => {
+      if (!early || entry.early) {
+        pending.push(this.startModule(entry).catch(() => {}));
+      }
+    });
+    return Promise.all(pending);
+  }
+
+  /**
+   * Start a module's dependencies, then create and initialise it
+   * @param {Object} entry - Registry entry
+   * @param {Array<string>} path - Modules waiting on this one, to catch cycles
+   * @returns {Promise} Resolves when its init() has finished
+   */
+  startModule(entry, path = []) {
+    if (entry.ready) return entry.ready;
+    // Rejected rather than thrown, so only this module and the ones that
+    // depend on it fail to start
+    if (path.includes(entry.name)) {
+      return this.failModule(entry, new Error(`Circular module dependency: ${[...path, entry.name].join(' -> ')}`));
+    }
+
+    const missing = entry.dependsOn.find(name => !this.entries.has(name));
+    if (missing) {
+      entry.ready = this.failModule(entry, new Error(`Module "${entry.name}" depends on unregistered "${missing}"`));
+      return entry.ready;
+    }
+
+    const dependencies = entry.dependsOn.map(name => (
+      this.startModule(this.entries.get(name), [...path, entry.name])
+    ));
+
+    const ready = Promise.all(dependencies).then(() => this.initModule(entry, ready), error => {
+      console.warn(`Module "${entry.name}" not started: a module it depends on failed`);
+      throw error;
+    });
+    entry.ready = ready;
+    return ready;
+  }
+
+  /**
+   * @param {Object} entry - Registry entry
+   * @param {Promise} ready - The start this belongs to
+   */
+  async initModule(entry, ready) {
+    // Unregistered while its dependencies were starting
+    if (entry.ready !== ready) return;
+
+    try {
+      entry.instance = entry.create(this.context(entry));
+      if (typeof entry.instance.init === 'function') {
+        await entry.instance.init();
+      }
+    } catch (error) {
+      return this.failModule(entry, error);
+    }
+    // Unregistered while it was initialising
+    if (entry.ready !== ready) return;
+
+    this.bus.emit('module:ready', { name: entry.name });
+
+    this.running.push(entry);
+    if (this.paused && typeof entry.instance.pause === 'function') {
+      entry.instance.pause();
+    }
+  }
+
+  /**
+   * Report a module that couldn't start
+   * @param {Object} entry - Registry entry
+   * @param {Error} error - Why
+   * @returns {Promise} Rejected with the error
+   */
+  failModule(entry, error) {
+    console.error(`Module "${entry.name}" failed to start:`, error);
+    this.bus.emit('module:failed', { name: entry.name, error });
+    return Promise.reject(error);
+  }
+
+  /**
+   * What a module's factory is given
+   * @param {Object} entry - Registry entry
+   * @returns {Object} { events, get }
+   */
+  context(entry) {
+    return {
+      events: {
+        on: (type, listener) => {
+          const unsubscribe = this.bus.on(type, listener);
+          entry.subscriptions.push(unsubscribe);
+          return unsubscribe;
+        },
+        emit: (type, detail) => this.bus.emit(type, detail)
+      },
+      get: name => this.get(name)
+    };
+  }
+
+  stopModule(entry) {
+    entry.subscriptions.forEach(unsubscribe => unsubscribe());
+    entry.subscriptions = [];
+    if (entry.instance && typeof entry.instance.destroy === 'function') {
+      try {
+        entry.instance.destroy();
+      } catch (error) {
+        console.error(`Module "${entry.name}" failed to stop:`, error);
+      }
+    }
+    this.running = this.running.filter(other => other !== entry);
+    entry.instance = null;
+    entry.ready = null;
+  }
+
+  /**
+   * Call a hook on every running module
+   * @param {string} hook - Method name
+   * @param {boolean} reverse - Dependents first
+   */
+  each(hook, reverse = false) {
+    const entries = reverse ? this.running.slice().reverse() : this.running.slice();
+    entries.forEach(entry => {
+      if (typeof entry.instance[hook] !== 'function') return;
+      try {
+        entry.instance[hook]();
+      } catch (error) {
+        console.error(`Module "${entry.name}" ${hook} failed:`, error);
+      }
+    });
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.each('pause', true);
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.each('resume');
+  }
+
+  /**
+   * Destroy every module, dependents before what they depend on
+   */
+  destroy() {
+    const entries = Array.from(this.entries.values());
+    // Running ones in reverse start order, then any still starting
+    this.running.slice().reverse().concat(entries.filter(entry => !this.running.includes(entry)))
+      .forEach(entry => this.stopModule(entry));
+    this.started = false;
   }
 }
 
@@ -520,29 +1791,83 @@ class ErrorHandler {
 // MAIN APPLICATION CLASS
 // ==========================================
 
+/**
+ * Registers the page's modules and starts them. Scripts loaded after this
+ * one add their own with register() (see js/form-validation.js).
+ */
 class CrumbleBakeryApp {
   constructor() {
-    this.modules = {
-      loadingManager: new LoadingManager(),
-      countdownTimer: new CountdownTimer(),
-      scrollEffectsManager: new ScrollEffectsManager(),
-      floatingElementsManager: new FloatingElementsManager(),
-      smoothScrollHandler: new SmoothScrollHandler(),
-      performanceMonitor: new PerformanceMonitor(),
-      errorHandler: new ErrorHandler()
-    };
+    this.events = new EventBus();
+    this.registry = new ModuleRegistry(this.events);
+    
+    // Error handling, performance monitoring and the loading screen start
+    // straight away; the rest once the DOM is ready
+    this.register('errorHandler', { early: true, create: ({ events }) => new ErrorHandler(events) });
+    this.register('performanceMonitor', { early: true, create: () => new PerformanceMonitor() });
+    // A/B variants, when js/experiments.js is loaded. They are applied as
+    // the module starts, well before the loading screen lifts, and without
+    // holding it up if something goes wrong.
+    if (typeof Experiments !== 'undefined') {
+      this.register('experiments', { early: true, create: ({ events }) => new Experiments(events) });
+    }
+    this.register('loadingManager', { early: true, create: () => new LoadingManager() });
+    
+    this.register('countdownTimer', {
+      create: ({ events }) => new CountdownTimer(events)
+    });
+    this.register('siteModeManager', {
+      dependsOn: ['countdownTimer'],
+      create: ({ get, events }) => new SiteModeManager(get('countdownTimer'), events)
+    });
+    this.register('scrollEffectsManager', { create: () => new ScrollEffectsManager() });
+    this.register('floatingElementsManager', { create: () => new FloatingElementsManager() });
+    this.register('smoothScrollHandler', { create: () => new SmoothScrollHandler() });
+    
+    // "Add to calendar" for the launch, when js/calendar.js is loaded
+    if (typeof AddToCalendar !== 'undefined') {
+      this.register('addToCalendar', {
+        dependsOn: ['countdownTimer'],
+        create: ({ get, events }) => new AddToCalendar(get('countdownTimer'), events)
+      });
+    }
+  }
+
+  /**
+   * @param {string} name - Module name
+   * @param {Object} definition - See ModuleRegistry.register
+   * @returns {CrumbleBakeryApp} This app
+   */
+  register(name, definition) {
+    this.registry.register(name, definition);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Module name
+   * @returns {boolean} Whether it was registered
+   */
+  unregister(name) {
+    return this.registry.unregister(name);
+  }
+
+  /**
+   * @param {string} name - Module name
+   * @returns {Object|null} Module instance, once started
+   */
+  get(name) {
+    return this.registry.get(name);
+  }
+
+  /**
+   * @returns {Object} Started modules by name
+   */
+  get modules() {
+    return this.registry.instances();
   }
 
   init() {
     try {
-      // Initialize error handling first
-      this.modules.errorHandler.init();
-      
-      // Initialize performance monitoring
-      this.modules.performanceMonitor.init();
-      
-      // Initialize loading screen
-      this.modules.loadingManager.init();
+      this.registry.start({ early: true });
       
       // Initialize other modules after DOM is ready
       if (document.readyState === 'loading') {
@@ -556,54 +1881,40 @@ class CrumbleBakeryApp {
       console.log('🧁 Crumble Bakery website initialized successfully!');
     } catch (error) {
       console.error('Failed to initialize Crumble Bakery app:', error);
-      this.modules.errorHandler.handleError({
-        message: 'App initialization failed',
-        error: error.message,
-        stack: error.stack
-      });
+      this.reportError(error);
     }
   }
 
   initModules() {
-    // Initialize countdown timer
-    this.modules.countdownTimer.init();
-    
-    // Initialize scroll effects
-    this.modules.scrollEffectsManager.init();
-    
-    // Initialize floating elements
-    this.modules.floatingElementsManager.init();
-    
-    // Initialize smooth scrolling
-    this.modules.smoothScrollHandler.init();
+    // Modules that fail to start are logged and announced (module:failed)
+    // by the registry; the rest start regardless
+    this.registry.start();
     
     // Add any additional initialization here
     this.setupGlobalEventListeners();
     this.setupKeyboardNavigation();
   }
 
+  reportError(error) {
+    const errorHandler = this.get('errorHandler');
+    if (errorHandler) {
+      errorHandler.handleError({
+        message: 'App initialization failed',
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
   setupGlobalEventListeners() {
-    // Handle visibility change (tab switching)
+    // Pause animations and timers while the tab is hidden
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
-        // Page is hidden - pause animations if needed
-        this.modules.floatingElementsManager.destroy();
+        this.registry.pause();
       } else {
-        // Page is visible - resume animations
-        if (window.innerWidth >= 768) {
-          this.modules.floatingElementsManager.init();
-        }
+        this.registry.resume();
       }
     });
-    
-    // Handle window resize
-    window.addEventListener('resize', debounce(() => {
-      // Reinitialize floating elements based on screen size
-      this.modules.floatingElementsManager.destroy();
-      if (window.innerWidth >= 768) {
-        this.modules.floatingElementsManager.init();
-      }
-    }, 250));
   }
 
   setupKeyboardNavigation() {
@@ -626,11 +1937,7 @@ class CrumbleBakeryApp {
 
   destroy() {
     // Clean up all modules
-    Object.values(this.modules).forEach(module => {
-      if (typeof module.destroy === 'function') {
-        module.destroy();
-      }
-    });
+    this.registry.destroy();
   }
 }
 
@@ -642,7 +1949,8 @@ class CrumbleBakeryApp {
 const app = new CrumbleBakeryApp();
 app.init();
 
-// Make app available globally for debugging
+// Make app available globally, for debugging and for later scripts to
+// register their modules with
 window.CrumbleBakeryApp = app;
 
 // Export for module environments
@@ -0,0 +1,282 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - OFFLINE SUBMISSION QUEUE
+ * ==========================================
+ * 
+ * Keeps signups that could not be delivered (offline, timeouts, server
+ * errors) in an IndexedDB outbox and replays them when the connection
+ * comes back, with exponential backoff and jitter. Every entry carries
+ * an idempotency key so a replay can never subscribe anyone twice.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const OUTBOX_CONFIG = {
+  dbName: 'crumbleBakery',
+  dbVersion: 1,
+  storeName: 'outbox',
+  
+  // Backoff: delay = random(0, min(maxDelay, baseDelay * 2^attempts))
+  baseDelay: 2000,
+  maxDelay: 5 * 60 * 1000,
+  
+  // Entries older than this are dropped instead of replayed
+  maxAge: 7 * 24 * 60 * 60 * 1000
+};
+
+// ==========================================
+// INDEXEDDB OUTBOX
+// ==========================================
+
+class SubmissionOutbox {
+  constructor() {
+    this.dbPromise = null;
+    // Used when IndexedDB is unavailable (e.g. some private modes)
+    this.memoryStore = new Map();
+  }
+
+  /**
+   * Open (and upgrade) the database once
+   * @returns {Promise<IDBDatabase|null>} Database, or null if unsupported
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      const request = window.indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+          db.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, outbox kept in memory:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the outbox store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(OUTBOX_CONFIG.storeName, mode);
+      const request = operation(transaction.objectStore(OUTBOX_CONFIG.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async put(entry) {
+    if (!(await this.open())) {
+      this.memoryStore.set(entry.id, entry);
+      return;
+    }
+    await this.run('readwrite', store => store.put(entry));
+  }
+
+  async remove(id) {
+    if (!(await this.open())) {
+      this.memoryStore.delete(id);
+      return;
+    }
+    await this.run('readwrite', store => store.delete(id));
+  }
+
+  async getAll() {
+    if (!(await this.open())) {
+      return [...this.memoryStore.values()];
+    }
+    return this.run('readonly', store => store.getAll());
+  }
+}
+
+// ==========================================
+// OFFLINE SUBMISSION QUEUE
+// ==========================================
+
+class OfflineSubmissionQueue {
+  /**
+   * @param {EmailSubmissionHandler} submissionHandler - Delivers payloads
+   * @param {Object} callbacks - onDelivered(entry, result), onFailed(entry, error),
+   *   onError(error) when the outbox itself fails (quota, aborted transaction)
+   */
+  constructor(submissionHandler, callbacks = {}) {
+    this.submissionHandler = submissionHandler;
+    this.outbox = new SubmissionOutbox();
+    this.onDelivered = callbacks.onDelivered || (() => {});
+    this.onFailed = callbacks.onFailed || (() => {});
+    this.onError = callbacks.onError || (error => console.error('Offline outbox failed:', error));
+    this.retryTimeout = null;
+    this.isFlushing = false;
+    this.handleOnline = () => this.flushInBackground({ force: true });
+  }
+
+  /**
+   * Start listening for connectivity and replay anything left over
+   * from a previous visit
+   * @returns {Promise<number>} Number of entries waiting in the outbox
+   */
+  async start() {
+    window.addEventListener('online', this.handleOnline);
+
+    const pending = await this.outbox.getAll();
+    if (pending.length && navigator.onLine !== false) {
+      this.flushInBackground({ force: true });
+    }
+    return pending.length;
+  }
+
+  /**
+   * Save a submission for later delivery
+   * @param {Object} payload - Request payload
+   * @param {string} idempotencyKey - Key used for the original attempt
+   * @returns {Promise<Object>} Stored entry
+   */
+  async enqueue(payload, idempotencyKey) {
+    // The first attempt has already failed by the time we get here
+    const entry = {
+      id: idempotencyKey,
+      payload,
+      attempts: 1,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now() + this.backoffDelay(1)
+    };
+
+    await this.outbox.put(entry);
+    this.scheduleRetry(entry);
+    return entry;
+  }
+
+  /**
+   * Try to deliver every due entry
+   * @param {Object} options - force: ignore backoff (e.g. on 'online')
+   */
+  async flush({ force = false } = {}) {
+    if (this.isFlushing || navigator.onLine === false) return;
+
+    this.isFlushing = true;
+    clearTimeout(this.retryTimeout);
+
+    try {
+      const entries = await this.outbox.getAll();
+      const now = Date.now();
+
+      for (const entry of entries) {
+        if (now - entry.createdAt > OUTBOX_CONFIG.maxAge) {
+          await this.outbox.remove(entry.id);
+          continue;
+        }
+
+        if (force || entry.nextAttemptAt <= now) {
+          await this.deliver(entry);
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    this.scheduleNext().catch(this.onError);
+  }
+
+  /**
+   * Flush without anyone waiting on it: from events and timers
+   * @param {Object} options - See flush()
+   */
+  flushInBackground(options) {
+    this.flush(options).catch(this.onError);
+  }
+
+  /**
+   * Deliver a single entry
+   * @param {Object} entry - Outbox entry
+   */
+  async deliver(entry) {
+    try {
+      const result = await this.submissionHandler.sendPayload(entry.payload, entry.id);
+      await this.outbox.remove(entry.id);
+      this.onDelivered(entry, result);
+    } catch (error) {
+      if (this.shouldRetry(error)) {
+        entry.attempts += 1;
+        // Never sooner than the server's Retry-After
+        entry.nextAttemptAt = Date.now() + Math.max(this.backoffDelay(entry.attempts), (error.retryAfter || 0) * 1000);
+        await this.outbox.put(entry);
+        return;
+      }
+
+      // Permanent failures (invalid, already subscribed) leave the outbox
+      await this.outbox.remove(entry.id);
+      this.onFailed(entry, error);
+    }
+  }
+
+  /**
+   * Whether an error is worth another attempt later
+   * @param {Error} error - Delivery error
+   * @returns {boolean} Should retry
+   */
+  shouldRetry(error) {
+    return error instanceof SubmissionError && (error.isRetryable || error.status === 429);
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  backoffDelay(attempts) {
+    const ceiling = Math.min(OUTBOX_CONFIG.maxDelay, OUTBOX_CONFIG.baseDelay * Math.pow(2, attempts));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Schedule a flush for the earliest entry that is due
+   */
+  async scheduleNext() {
+    const entries = await this.outbox.getAll();
+    if (!entries.length) return;
+
+    const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    this.scheduleRetry({ nextAttemptAt });
+  }
+
+  scheduleRetry({ nextAttemptAt }) {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => this.flushInBackground(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  destroy() {
+    clearTimeout(this.retryTimeout);
+    window.removeEventListener('online', this.handleOnline);
+  }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OfflineSubmissionQueue,
+    SubmissionOutbox
+  };
+}
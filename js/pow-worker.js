@@ -0,0 +1,143 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - PROOF-OF-WORK WORKER
+ * ==========================================
+ * 
+ * Solves the signup challenge off the main thread: finds a nonce such
+ * that SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits.
+ * Spawned by js/bot-protection.js; the server checks the answer in
+ * server/lib/challenges.js.
+ */
+
+'use strict';
+
+// ==========================================
+// SHA-256
+// ==========================================
+
+// Plain JS rather than crypto.subtle: one digest per call is far faster
+// synchronously, and subtle is missing outside secure contexts
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 of a byte array
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint32Array} Digest as eight big-endian words
+ */
+function sha256(bytes) {
+  const bitLength = bytes.length * 8;
+  const blocks = Math.ceil((bytes.length + 9) / 64);
+  const padded = new Uint8Array(blocks * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = ((w[i - 15] >>> 7) | (w[i - 15] << 25)) ^ ((w[i - 15] >>> 18) | (w[i - 15] << 14)) ^ (w[i - 15] >>> 3);
+      const s1 = ((w[i - 2] >>> 17) | (w[i - 2] << 15)) ^ ((w[i - 2] >>> 19) | (w[i - 2] << 13)) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+
+    for (let i = 0; i < 64; i++) {
+      const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + SHA256_K[i] + w[i]) >>> 0;
+      const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+    hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+  }
+
+  return hash;
+}
+
+// ==========================================
+// SOLVER
+// ==========================================
+
+/**
+ * Number of leading zero bits of a digest
+ * @param {Uint32Array} digest - Digest words
+ * @returns {number} Leading zero bits
+ */
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const word of digest) {
+    if (word === 0) {
+      bits += 32;
+      continue;
+    }
+    return bits + Math.clz32(word);
+  }
+  return bits;
+}
+
+/**
+ * Find the first nonce that meets the difficulty
+ * @param {string} challenge - Signed challenge from the server
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Object} { nonce, attempts }
+ */
+function solveProofOfWork(challenge, difficulty) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    if (leadingZeroBits(sha256(encoder.encode(`${challenge}:${nonce}`))) >= difficulty) {
+      return { nonce: String(nonce), attempts: nonce + 1 };
+    }
+  }
+}
+
+// ==========================================
+// WORKER ENTRY POINT
+// ==========================================
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', (event) => {
+    const { challenge, difficulty } = event.data;
+    self.postMessage(solveProofOfWork(challenge, difficulty));
+  });
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sha256,
+    leadingZeroBits,
+    solveProofOfWork
+  };
+}
@@ -0,0 +1,421 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - PREFERENCE CENTER
+ * ==========================================
+ * 
+ * Drives preferences.html. With a signed token from an email link the
+ * subscriber can pick topics, choose a frequency or leave the list.
+ * Without one they can ask for a link, validated with EmailValidator.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const PREFERENCES_CONFIG = {
+  ENDPOINTS: {
+    preferences: '/api/preferences',
+    unsubscribe: '/api/unsubscribe',
+    requestLink: '/api/preferences/link'
+  },
+  
+  timeout: 8000,
+  
+  SELECTORS: {
+    card: '#preferencesCard',
+    title: '#preferencesTitle',
+    intro: '#preferencesIntro',
+    action: '#preferencesAction',
+    linkForm: '#linkForm',
+    linkEmail: '#linkEmail',
+    linkError: '#linkEmailError',
+    linkSubmit: '#linkSubmitBtn',
+    linkSuccess: '#linkSuccess',
+    preferencesForm: '#preferencesForm',
+    topicGroup: '#topicGroup',
+    frequencyGroup: '#frequencyGroup',
+    preferencesError: '#preferencesError',
+    preferencesSubmit: '#preferencesSubmitBtn',
+    preferencesSuccess: '#preferencesSuccess',
+    unsubscribeButton: '#unsubscribeBtn'
+  },
+  
+  // Labels for the option keys the API returns
+  LABELS: {
+    topics: {
+      launch: 'Launch news',
+      specials: 'Weekly specials',
+      events: 'Events & tastings'
+    },
+    frequencies: {
+      weekly: 'Weekly roundup',
+      monthly: 'Monthly digest',
+      important: 'Only the big announcements'
+    }
+  },
+  
+  MESSAGES: {
+    requestIntro: 'Enter the address you signed up with and we\'ll email you a link to manage your preferences.',
+    linkSent: 'If that address is on our list, a link is on its way.',
+    manageIntro: 'Managing emails for {email}.',
+    saved: 'Your preferences have been saved.',
+    noTopics: 'Pick at least one topic, or unsubscribe below.',
+    unsubscribedTitle: 'You\'ve been unsubscribed',
+    unsubscribedIntro: 'We\'re sorry to see you go. You won\'t receive any more emails from us. Changed your mind? You can sign up again any time.',
+    invalidTitle: 'This link isn\'t valid',
+    invalidIntro: 'The link may be incomplete. Request a new one below.',
+    error: 'Something went wrong. Please try again later.'
+  }
+};
+
+// ==========================================
+// API CLIENT
+// ==========================================
+
+/**
+ * Send a JSON request to the preferences API
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response status and parsed body
+ */
+async function requestPreferencesApi(method, url, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PREFERENCES_CONFIG.timeout);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    const data = await response.json().catch(() => null);
+    return { status: response.status, ok: response.ok, data };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ==========================================
+// PREFERENCE CENTER
+// ==========================================
+
+class PreferenceCenter {
+  constructor() {
+    this.elements = {};
+    this.validator = new EmailValidator();
+    this.token = new URLSearchParams(window.location.search).get('token');
+    this.isSubmitting = false;
+  }
+
+  async init() {
+    Object.keys(PREFERENCES_CONFIG.SELECTORS).forEach(key => {
+      this.elements[key] = document.querySelector(PREFERENCES_CONFIG.SELECTORS[key]);
+    });
+
+    if (!this.elements.card) return;
+
+    this.setupAccessibility();
+    this.bindEvents();
+
+    if (!this.token) {
+      this.showRequestForm();
+      return;
+    }
+
+    await this.loadPreferences();
+  }
+
+  /**
+   * Setup accessibility features (mirrors EmailFormHandler)
+   */
+  setupAccessibility() {
+    this.elements.linkEmail.setAttribute('aria-describedby', 'linkEmailError');
+    this.elements.linkError.setAttribute('role', 'alert');
+    this.elements.preferencesError.setAttribute('role', 'alert');
+    this.elements.linkSuccess.setAttribute('role', 'status');
+    this.elements.preferencesSuccess.setAttribute('role', 'status');
+
+    const announcement = document.createElement('div');
+    announcement.className = 'sr-only';
+    announcement.setAttribute('aria-live', 'polite');
+    announcement.id = 'preferences-announcements';
+    this.elements.card.appendChild(announcement);
+    this.announcementElement = announcement;
+  }
+
+  bindEvents() {
+    this.elements.linkForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleLinkRequest();
+    });
+
+    this.elements.linkEmail.addEventListener('focus', () => {
+      this.hideMessage(this.elements.linkError);
+    });
+
+    this.elements.preferencesForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSave();
+    });
+
+    this.elements.unsubscribeButton.addEventListener('click', () => {
+      this.handleUnsubscribe();
+    });
+  }
+
+  // ------------------------------------------
+  // States
+  // ------------------------------------------
+
+  showRequestForm(title, intro) {
+    this.setState('request', title || 'Email Preferences', intro || PREFERENCES_CONFIG.MESSAGES.requestIntro);
+    this.elements.linkForm.hidden = false;
+    this.elements.preferencesForm.hidden = true;
+  }
+
+  showPreferences(data) {
+    this.setState('manage', 'Email Preferences',
+      PREFERENCES_CONFIG.MESSAGES.manageIntro.replace('{email}', data.email));
+    this.renderOptions(data);
+    this.elements.linkForm.hidden = true;
+    this.elements.preferencesForm.hidden = false;
+  }
+
+  showUnsubscribed() {
+    this.setState('unsubscribed', PREFERENCES_CONFIG.MESSAGES.unsubscribedTitle,
+      PREFERENCES_CONFIG.MESSAGES.unsubscribedIntro);
+    this.elements.linkForm.hidden = true;
+    this.elements.preferencesForm.hidden = true;
+    this.elements.action.textContent = 'Sign up again';
+    this.elements.action.hidden = false;
+  }
+
+  showError() {
+    this.setState('error', 'Email Preferences', PREFERENCES_CONFIG.MESSAGES.error);
+    this.elements.linkForm.hidden = true;
+    this.elements.preferencesForm.hidden = true;
+    this.elements.action.hidden = false;
+  }
+
+  setState(state, title, intro) {
+    this.elements.card.dataset.state = state;
+    this.elements.title.textContent = title;
+    this.elements.intro.textContent = intro;
+    this.announceToScreenReader(`${title}. ${intro}`);
+  }
+
+  // ------------------------------------------
+  // Preferences
+  // ------------------------------------------
+
+  async loadPreferences() {
+    try {
+      const response = await requestPreferencesApi('GET', this.tokenUrl(PREFERENCES_CONFIG.ENDPOINTS.preferences));
+
+      if (response.status === 400 || response.status === 404) {
+        this.showRequestForm(PREFERENCES_CONFIG.MESSAGES.invalidTitle, PREFERENCES_CONFIG.MESSAGES.invalidIntro);
+        return;
+      }
+
+      if (!response.ok) {
+        this.showError();
+        return;
+      }
+
+      if (response.data.data.status === 'unsubscribed') {
+        this.showUnsubscribed();
+        return;
+      }
+
+      this.showPreferences(response.data.data);
+    } catch (error) {
+      this.showError();
+    }
+  }
+
+  /**
+   * Render topic checkboxes and frequency radios
+   * @param {Object} data - Preferences view from the API
+   */
+  renderOptions(data) {
+    const { topics, frequencies } = PREFERENCES_CONFIG.LABELS;
+
+    this.renderChoices(this.elements.topicGroup, 'checkbox', 'topics',
+      data.options.topics, topics, data.preferences.topics);
+    this.renderChoices(this.elements.frequencyGroup, 'radio', 'frequency',
+      data.options.frequencies, frequencies, [data.preferences.frequency]);
+  }
+
+  renderChoices(group, type, name, options, labels, selected) {
+    group.querySelectorAll('.preference-option').forEach(option => option.remove());
+
+    options.forEach(value => {
+      const label = document.createElement('label');
+      label.className = 'preference-option';
+
+      const input = document.createElement('input');
+      input.type = type;
+      input.name = name;
+      input.value = value;
+      input.checked = selected.includes(value);
+
+      const text = document.createElement('span');
+      text.textContent = labels[value] || value;
+
+      label.append(input, text);
+      group.appendChild(label);
+    });
+  }
+
+  async handleSave() {
+    if (this.isSubmitting) return;
+
+    const form = this.elements.preferencesForm;
+    const topics = [...form.querySelectorAll('input[name="topics"]:checked')].map(input => input.value);
+    const frequency = form.querySelector('input[name="frequency"]:checked')?.value;
+
+    this.hideMessage(this.elements.preferencesSuccess);
+
+    if (topics.length === 0) {
+      this.showMessage(this.elements.preferencesError, PREFERENCES_CONFIG.MESSAGES.noTopics);
+      this.announceToScreenReader(PREFERENCES_CONFIG.MESSAGES.noTopics);
+      return;
+    }
+
+    this.hideMessage(this.elements.preferencesError);
+    this.setSubmitting(this.elements.preferencesSubmit, true);
+
+    try {
+      const response = await requestPreferencesApi('PUT',
+        this.tokenUrl(PREFERENCES_CONFIG.ENDPOINTS.preferences), { topics, frequency });
+
+      if (!response.ok) {
+        throw new Error(PREFERENCES_CONFIG.MESSAGES.error);
+      }
+
+      this.showMessage(this.elements.preferencesSuccess, PREFERENCES_CONFIG.MESSAGES.saved);
+      this.announceToScreenReader(PREFERENCES_CONFIG.MESSAGES.saved);
+    } catch (error) {
+      this.showMessage(this.elements.preferencesError, PREFERENCES_CONFIG.MESSAGES.error);
+      this.announceToScreenReader(`Error: ${PREFERENCES_CONFIG.MESSAGES.error}`);
+    } finally {
+      this.setSubmitting(this.elements.preferencesSubmit, false);
+    }
+  }
+
+  async handleUnsubscribe() {
+    if (this.isSubmitting) return;
+
+    this.isSubmitting = true;
+    this.elements.unsubscribeButton.disabled = true;
+
+    try {
+      const response = await requestPreferencesApi('POST', this.tokenUrl(PREFERENCES_CONFIG.ENDPOINTS.unsubscribe));
+      if (!response.ok) {
+        throw new Error(PREFERENCES_CONFIG.MESSAGES.error);
+      }
+      this.showUnsubscribed();
+    } catch (error) {
+      this.showMessage(this.elements.preferencesError, PREFERENCES_CONFIG.MESSAGES.error);
+      this.announceToScreenReader(`Error: ${PREFERENCES_CONFIG.MESSAGES.error}`);
+    } finally {
+      this.isSubmitting = false;
+      this.elements.unsubscribeButton.disabled = false;
+    }
+  }
+
+  // ------------------------------------------
+  // Manage link request
+  // ------------------------------------------
+
+  async handleLinkRequest() {
+    if (this.isSubmitting) return;
+
+    const email = this.elements.linkEmail.value.trim();
+    const validation = this.validator.validate(email);
+
+    if (!validation.isValid) {
+      this.showMessage(this.elements.linkError, validation.message);
+      this.elements.linkEmail.classList.add('error');
+      this.elements.linkEmail.setAttribute('aria-invalid', 'true');
+      this.announceToScreenReader('Please fix the errors before submitting');
+      this.elements.linkEmail.focus();
+      return;
+    }
+
+    this.hideMessage(this.elements.linkError);
+    this.elements.linkEmail.classList.remove('error');
+    this.elements.linkEmail.setAttribute('aria-invalid', 'false');
+    this.setSubmitting(this.elements.linkSubmit, true);
+
+    try {
+      const response = await requestPreferencesApi('POST', PREFERENCES_CONFIG.ENDPOINTS.requestLink, { email });
+      if (!response.ok) {
+        throw new Error(PREFERENCES_CONFIG.MESSAGES.error);
+      }
+      this.elements.linkEmail.value = '';
+      this.showMessage(this.elements.linkSuccess, PREFERENCES_CONFIG.MESSAGES.linkSent);
+      this.announceToScreenReader(PREFERENCES_CONFIG.MESSAGES.linkSent);
+    } catch (error) {
+      this.showMessage(this.elements.linkError, PREFERENCES_CONFIG.MESSAGES.error);
+      this.announceToScreenReader(`Error: ${PREFERENCES_CONFIG.MESSAGES.error}`);
+    } finally {
+      this.setSubmitting(this.elements.linkSubmit, false);
+    }
+  }
+
+  // ------------------------------------------
+  // Helpers
+  // ------------------------------------------
+
+  tokenUrl(endpoint) {
+    return `${endpoint}?token=${encodeURIComponent(this.token)}`;
+  }
+
+  setSubmitting(button, isSubmitting) {
+    this.isSubmitting = isSubmitting;
+    button.disabled = isSubmitting;
+    button.classList.toggle('loading', isSubmitting);
+  }
+
+  showMessage(element, message) {
+    const target = element.querySelector('span') || element;
+    target.textContent = message;
+    element.classList.add('show');
+  }
+
+  hideMessage(element) {
+    element.classList.remove('show');
+  }
+
+  /**
+   * Announce message to screen readers
+   * @param {string} message - Message to announce
+   */
+  announceToScreenReader(message) {
+    if (this.announcementElement) {
+      this.announcementElement.textContent = message;
+      setTimeout(() => {
+        this.announcementElement.textContent = '';
+      }, 1000);
+    }
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  const preferenceCenter = new PreferenceCenter();
+  preferenceCenter.init();
+});
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreferenceCenter;
+}
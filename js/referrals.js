@@ -0,0 +1,328 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - REFERRALS
+ * ==========================================
+ *
+ * Remembers the referral code a visitor arrived with (?ref=) until they
+ * sign up, and shows their place on the waitlist with a personal link to
+ * share afterwards. The server decides whether a referral counts; see
+ * server/lib/waitlist.js.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const REFERRAL_CONFIG = {
+  param: 'ref',
+  storageKey: 'crumbleBakery_referral',
+  // Forget a referral the visitor didn't act on within this long
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+  // Same shape the server accepts
+  codePattern: /^[a-z0-9]{6,16}$/,
+
+  SELECTORS: {
+    panel: '#waitlistPanel',
+    position: '#waitlistPosition',
+    total: '#waitlistTotal',
+    link: '#referralLink',
+    copyButton: '#copyReferralLink',
+    shareButton: '#shareReferralLink',
+    referrals: '#referralCount',
+    rewards: '#referralRewards'
+  },
+
+  // English copy; js/i18n.js catalogs translate it under "referrals."
+  MESSAGES: {
+    copied: 'Link copied!',
+    copyFailed: 'Select the link and copy it',
+    shareTitle: 'Crumble Bakery is coming soon',
+    shareText: 'Join me on the Crumble Bakery launch list!',
+    // Without i18n.js; the catalogs have ICU plurals for these two
+    referrals: {
+      0: 'No friends have joined through your link yet',
+      1: '1 friend has joined through your link',
+      other: '{count} friends have joined through your link'
+    },
+    rewardTier: '{count} friends: {reward}'
+  },
+
+  TIMING: {
+    copiedDisplayTime: 2000
+  }
+};
+
+/**
+ * Referral copy in the visitor's language
+ * @param {string} key - Key under "referrals." in the catalogs
+ * @param {Object} params - Message arguments
+ * @param {string} english - Copy to use without a translation
+ * @returns {string} Message
+ */
+function referralMessage(key, params, english) {
+  if (typeof i18n !== 'undefined' && i18n) {
+    return i18n.t(`referrals.${key}`, params, english);
+  }
+  return english.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// ==========================================
+// REFERRAL TRACKER
+// ==========================================
+
+class ReferralTracker {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Store the ?ref= code from the current URL and drop it from the
+   * address bar, so it isn't bookmarked or shared onwards
+   * @returns {string|null} Captured code
+   */
+  capture() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(REFERRAL_CONFIG.param)) {
+      return null;
+    }
+
+    const code = this.normalizeCode(url.searchParams.get(REFERRAL_CONFIG.param));
+    url.searchParams.delete(REFERRAL_CONFIG.param);
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+    }
+
+    if (!code) {
+      return null;
+    }
+
+    try {
+      this.storage.setItem(REFERRAL_CONFIG.storageKey, JSON.stringify({
+        code,
+        capturedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn('Unable to store referral code:', error);
+    }
+    return code;
+  }
+
+  /**
+   * Referral code to send with the signup, if one is still fresh
+   * @returns {string|null} Referral code
+   */
+  getCode() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(REFERRAL_CONFIG.storageKey));
+      if (!stored || Date.now() - stored.capturedAt > REFERRAL_CONFIG.maxAge) {
+        return null;
+      }
+      return this.normalizeCode(stored.code);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the referral once it has been used
+   */
+  clear() {
+    try {
+      this.storage.removeItem(REFERRAL_CONFIG.storageKey);
+    } catch (error) {
+      // Nothing stored, or storage unavailable
+    }
+  }
+
+  /**
+   * @param {string|null} value - Raw code
+   * @returns {string|null} Lowercased code, or null if malformed
+   */
+  normalizeCode(value) {
+    const code = String(value || '').trim().toLowerCase();
+    return REFERRAL_CONFIG.codePattern.test(code) ? code : null;
+  }
+}
+
+// ==========================================
+// WAITLIST PANEL
+// ==========================================
+
+class WaitlistPanel {
+  constructor() {
+    this.elements = {};
+    Object.entries(REFERRAL_CONFIG.SELECTORS).forEach(([key, selector]) => {
+      this.elements[key] = document.querySelector(selector);
+    });
+    this.copiedTimeout = null;
+    this.waitlist = null;
+
+    this.bindEvents();
+    if (typeof i18n !== 'undefined' && i18n) {
+      i18n.onChange(() => this.waitlist && this.render(this.waitlist));
+    }
+  }
+
+  /**
+   * Bind copy and share buttons. Sharing is only offered where the
+   * browser supports it.
+   */
+  bindEvents() {
+    const { copyButton, shareButton, link } = this.elements;
+
+    if (copyButton) {
+      copyButton.addEventListener('click', () => this.copyLink());
+    }
+    if (shareButton) {
+      shareButton.hidden = typeof navigator.share !== 'function';
+      shareButton.addEventListener('click', () => this.shareLink());
+    }
+    if (link) {
+      link.addEventListener('focus', () => link.select());
+    }
+  }
+
+  /**
+   * Show the visitor's place in line and referral link
+   * @param {Object} waitlist - Waitlist summary from the subscribe API
+   */
+  render(waitlist) {
+    const { panel, position, total, link, referrals, rewards } = this.elements;
+    if (!panel || !waitlist) return;
+
+    this.waitlist = waitlist;
+    if (position) position.textContent = `#${this.formatNumber(waitlist.position)}`;
+    if (total) total.textContent = this.formatNumber(waitlist.total);
+    if (link) link.value = waitlist.referralUrl;
+    if (referrals) referrals.textContent = this.formatReferrals(waitlist.referrals);
+    if (rewards) this.renderRewards(rewards, waitlist.rewards || []);
+
+    panel.hidden = false;
+  }
+
+  /**
+   * @param {HTMLElement} list - Reward list element
+   * @param {Array} tiers - Reward tiers with earned flags
+   */
+  renderRewards(list, tiers) {
+    list.replaceChildren();
+
+    tiers.forEach(tier => {
+      const item = document.createElement('li');
+      item.className = tier.earned ? 'reward-tier earned' : 'reward-tier';
+
+      const icon = document.createElement('i');
+      icon.className = tier.earned ? 'fas fa-check-circle' : 'fas fa-gift';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const text = document.createElement('span');
+      text.textContent = referralMessage('rewardTier', {
+        count: tier.referrals,
+        reward: tier.reward
+      }, REFERRAL_CONFIG.MESSAGES.rewardTier.replace('{count}', this.formatNumber(tier.referrals)));
+
+      item.append(icon, text);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * @param {number} count - Confirmed referrals
+   * @returns {string} Referral count sentence
+   */
+  formatReferrals(count) {
+    const messages = REFERRAL_CONFIG.MESSAGES.referrals;
+    const english = (messages[count] || messages.other).replace('{count}', this.formatNumber(count));
+    return referralMessage('count', { count }, english);
+  }
+
+  /**
+   * @param {number} value - Number
+   * @returns {string} Number in the visitor's locale
+   */
+  formatNumber(value) {
+    return typeof i18n !== 'undefined' && i18n
+      ? i18n.formatNumber(value)
+      : new Intl.NumberFormat(document.documentElement.lang || undefined).format(value);
+  }
+
+  /**
+   * Copy the referral link, falling back to selecting it
+   */
+  async copyLink() {
+    const { link, copyButton } = this.elements;
+    if (!link) return;
+
+    try {
+      await navigator.clipboard.writeText(link.value);
+      this.flashButton(copyButton, referralMessage('copied', {}, REFERRAL_CONFIG.MESSAGES.copied));
+    } catch (error) {
+      link.focus();
+      link.select();
+      this.flashButton(copyButton, referralMessage('copyFailed', {}, REFERRAL_CONFIG.MESSAGES.copyFailed));
+    }
+  }
+
+  /**
+   * Open the native share sheet
+   */
+  async shareLink() {
+    const { link } = this.elements;
+    if (!link) return;
+
+    try {
+      await navigator.share({
+        title: referralMessage('shareTitle', {}, REFERRAL_CONFIG.MESSAGES.shareTitle),
+        text: referralMessage('shareText', {}, REFERRAL_CONFIG.MESSAGES.shareText),
+        url: link.value
+      });
+    } catch (error) {
+      // Dismissing the share sheet rejects too; nothing to report
+    }
+  }
+
+  /**
+   * Briefly swap a button's label
+   * @param {HTMLElement} button - Button element
+   * @param {string} message - Temporary label
+   */
+  flashButton(button, message) {
+    if (!button) return;
+
+    const label = button.querySelector('span') || button;
+    if (!button.dataset.label) {
+      button.dataset.label = label.textContent;
+    }
+
+    label.textContent = message;
+    clearTimeout(this.copiedTimeout);
+    this.copiedTimeout = setTimeout(() => {
+      if (typeof i18n !== 'undefined' && i18n) {
+        // The language may have changed meanwhile
+        i18n.apply(button);
+      } else {
+        label.textContent = button.dataset.label;
+      }
+    }, REFERRAL_CONFIG.TIMING.copiedDisplayTime);
+  }
+
+  /**
+   * Hide the panel (e.g. when the form is used again)
+   */
+  hide() {
+    if (this.elements.panel) {
+      this.elements.panel.hidden = true;
+    }
+  }
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ReferralTracker,
+    WaitlistPanel,
+    REFERRAL_CONFIG
+  };
+}
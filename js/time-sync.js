@@ -0,0 +1,212 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - TIME SYNC
+ * ==========================================
+ *
+ * Estimates how far the visitor's clock is from the server's, so the
+ * countdown doesn't depend on their system clock being right. Like NTP,
+ * it takes a few round trips to /api/time (server/routes/time.js) and
+ * trusts the one that spent the least time on the network:
+ *
+ *   offset = ((receivedAt - t0) + (sentAt - t3)) / 2
+ *
+ * where t0 and t3 are the local times the request left and the response
+ * arrived. Behind a plain static server there is no /api/time; the
+ * response's `Date` header still gives the offset, to the nearest second.
+ */
+
+'use strict';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const TIME_SYNC_CONFIG = {
+  endpoint: '/api/time',
+  samples: 4,
+  timeout: 3000,
+  // Coming back to the tab more often than this reuses the last estimate
+  minInterval: 10 * 1000
+};
+
+// ==========================================
+// TIME SYNC
+// ==========================================
+
+class TimeSync {
+  constructor(options = {}) {
+    this.config = { ...TIME_SYNC_CONFIG, ...options };
+    // Server time minus local time, in milliseconds
+    this.offset = 0;
+    // Round trip of the sample the offset came from
+    this.delay = null;
+    this.source = null;
+    this.syncedAt = null;
+    this.pending = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Current server time, as far as we can tell
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Whether a sync is under way, so now() may be about to change
+   * @returns {boolean} Syncing
+   */
+  isSyncing() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Sync now, and again whenever the tab becomes visible. While the tab
+   * is hidden the computer may sleep or have its clock changed.
+   */
+  start() {
+    this.sync();
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' &&
+          Date.now() - (this.syncedAt || 0) >= this.config.minInterval) {
+        this.sync();
+      }
+    });
+  }
+
+  /**
+   * Take fresh samples and update the offset, unless a sync is running
+   * @returns {Promise<number>} Offset in milliseconds
+   */
+  sync() {
+    if (!this.pending) {
+      this.pending = this.measure().finally(() => {
+        this.pending = null;
+        this.notify();
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Sample the server clock a few times, one request after another, and
+   * keep the estimate with the shortest round trip
+   * @returns {Promise<number>} Offset in milliseconds
+   */
+  async measure() {
+    let best = null;
+
+    for (let i = 0; i < this.config.samples; i++) {
+      let sample;
+      try {
+        sample = await this.sample();
+      } catch (error) {
+        // Offline, or no server at all: nothing more to learn this time
+        break;
+      }
+      if (!sample) continue;
+
+      // An exact timestamp beats a whole-second Date header
+      if (!best || (sample.precise && !best.precise) ||
+          (sample.precise === best.precise && sample.delay < best.delay)) {
+        best = sample;
+      }
+    }
+
+    this.syncedAt = Date.now();
+    if (best) {
+      this.offset = Math.round(best.offset);
+      this.delay = best.delay;
+      this.source = best.precise ? 'api' : 'date-header';
+    } else {
+      console.warn('Time sync failed; using the local clock');
+    }
+
+    return this.offset;
+  }
+
+  /**
+   * One round trip to the time endpoint
+   * @returns {Promise<Object|null>} { offset, delay, precise }, or null when
+   *   the response carries no usable time
+   */
+  async sample() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const t0 = Date.now();
+      const response = await fetch(this.config.endpoint, {
+        headers: { 'Accept': 'application/json' },
+        cache: 'no-store',
+        signal: controller.signal
+      });
+      const body = response.ok ? await response.json().catch(() => null) : null;
+      const t3 = Date.now();
+
+      const data = body && body.data;
+      if (data && Number.isFinite(data.receivedAt) && Number.isFinite(data.sentAt)) {
+        return {
+          offset: ((data.receivedAt - t0) + (data.sentAt - t3)) / 2,
+          delay: (t3 - t0) - (data.sentAt - data.receivedAt),
+          precise: true
+        };
+      }
+
+      // Any response from our origin (even a 404) is dated by its server.
+      // The header is truncated to the second, so aim for the middle of it.
+      const date = Date.parse(response.headers.get('Date'));
+      if (Number.isNaN(date)) {
+        return null;
+      }
+      return {
+        offset: date + 500 - (t0 + t3) / 2,
+        delay: t3 - t0,
+        precise: false
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @param {Function} listener - Called with the offset after each sync
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.offset);
+      } catch (error) {
+        console.error('Time sync listener failed:', error);
+      }
+    });
+  }
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+// Started straight away so the countdown has an estimate as early as
+// possible. Pages opened from disk have no server to ask.
+const timeSync = new TimeSync();
+
+if (typeof window !== 'undefined' && window.location.protocol !== 'file:') {
+  timeSync.start();
+}
+
+// Export for module environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TimeSync,
+    TIME_SYNC_CONFIG
+  };
+}
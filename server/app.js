@@ -0,0 +1,77 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - API APPLICATION
+ * ==========================================
+ *
+ * Builds the request listener: API routes first, then static files.
+ * Routes are plain "METHOD /path" -> handler(req, res, context) maps.
+ */
+
+'use strict';
+
+const { HttpError, sendError } = require('./lib/http');
+const { serveStatic } = require('./lib/static');
+
+const ROUTE_MODULES = [
+  require('./routes/health'),
+  require('./routes/time'),
+  require('./routes/challenge'),
+  require('./routes/domain-check'),
+  require('./routes/subscribe'),
+  require('./routes/confirm'),
+  require('./routes/preferences'),
+  require('./routes/analytics')
+];
+
+/**
+ * Create the HTTP request listener
+ * @param {Object} context - Shared app context (config, store, tokens, mailer,
+ *   idempotency, challenges, rateLimiter, waitlist, analytics)
+ * @returns {Function} Request listener
+ */
+function createApp(context) {
+  const routes = Object.assign({}, ...ROUTE_MODULES);
+  const knownPaths = new Set(Object.keys(routes).map(key => key.split(' ')[1]));
+
+  return async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes[`${req.method} ${url.pathname}`];
+
+    try {
+      if (handler) {
+        await handler(req, res, { ...context, url });
+        return;
+      }
+
+      if (knownPaths.has(url.pathname)) {
+        throw new HttpError(405, 'method_not_allowed', 'Method not allowed');
+      }
+
+      if (url.pathname.startsWith('/api/')) {
+        throw new HttpError(404, 'not_found', 'Unknown API route');
+      }
+
+      if (await serveStatic(req, res, url.pathname, context.config)) {
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      if (error instanceof HttpError) {
+        sendError(res, error);
+        return;
+      }
+
+      console.error('Unhandled request error:', error);
+      sendError(res, new HttpError(500, 'server_error', 'Something went wrong'));
+    }
+  };
+}
+
+module.exports = createApp;
@@ -0,0 +1,120 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SERVER CONFIGURATION
+ * ==========================================
+ *
+ * Runtime settings for the local subscription API server.
+ * Every value can be overridden through environment variables.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const SERVER_CONFIG = {
+  // Network
+  HOST: process.env.HOST || '127.0.0.1',
+  PORT: Number(process.env.PORT) || 8000,
+
+  // Paths
+  ROOT_DIR,
+  DATA_DIR: path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data')),
+
+  // Static files served alongside the API
+  STATIC: {
+    directories: ['css', 'js', 'images', 'fonts', 'assets'],
+    rootExtensions: ['.html']
+  },
+
+  // Request limits
+  LIMITS: {
+    maxBodyBytes: 10 * 1024
+  },
+
+  // Set when running behind a reverse proxy so rate limits use the
+  // client address from X-Forwarded-For
+  TRUST_PROXY: process.env.TRUST_PROXY === 'true',
+
+  // API rate limits as token buckets: up to `capacity` requests in a burst,
+  // then one more every `refillMs`. Subscribing and preference links use
+  // perIp/perEmail (and subscribing global). RATE_LIMITING=off disables them.
+  RATE_LIMITS: {
+    enabled: process.env.RATE_LIMITING !== 'off',
+    buckets: {
+      perIp: { capacity: 10, refillMs: 60 * 1000 },
+      perEmail: { capacity: 3, refillMs: 10 * 60 * 1000 },
+      global: { capacity: 300, refillMs: 200 },
+      // DNS lookups for the form's domain check, per IP
+      domainCheck: { capacity: 30, refillMs: 2 * 1000 }
+    }
+  },
+
+  // Signed tokens (a random secret is generated in DATA_DIR if unset)
+  TOKENS: {
+    secret: process.env.TOKEN_SECRET || null,
+    confirmationTtl: 48 * 60 * 60 * 1000
+  },
+
+  // Base URL used in links inside outgoing emails
+  PUBLIC_URL: process.env.PUBLIC_URL || null,
+
+  // Signup bot protection: a hidden honeypot field, a minimum time between
+  // loading the form and submitting it, and a proof-of-work challenge.
+  // BOT_PROTECTION=off disables it (e.g. to try the API with curl).
+  BOT_PROTECTION: {
+    enabled: process.env.BOT_PROTECTION !== 'off',
+    honeypotField: 'website',
+    difficulty: Number(process.env.POW_DIFFICULTY) || 16,
+    challengeTtl: 15 * 60 * 1000,
+    minSubmitTime: 3000
+  },
+
+  // Double opt-in
+  CONFIRMATION: {
+    pagePath: '/confirm.html'
+  },
+
+  // Waitlist and referral program: each confirmed referral moves the
+  // referrer this many places up the list
+  REFERRALS: {
+    spotsPerReferral: 5,
+    rewards: [
+      { referrals: 3, reward: 'A free cookie on opening day' },
+      { referrals: 10, reward: 'A launch-day pastry box' }
+    ]
+  },
+
+  // Preference center and unsubscribe
+  PREFERENCES: {
+    pagePath: '/preferences.html',
+    topics: ['launch', 'specials', 'events'],
+    frequencies: ['weekly', 'monthly', 'important'],
+    defaults: {
+      topics: ['launch', 'specials', 'events'],
+      frequency: 'weekly'
+    }
+  },
+
+  // Outgoing mail: 'file' writes .eml files to DATA_DIR/outbox,
+  // 'smtp' delivers to SMTP_HOST:SMTP_PORT (see server/smtp-sink.js)
+  MAIL: {
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    from: process.env.MAIL_FROM || 'Crumble Bakery <hello@crumblebakery.com>',
+    smtpHost: process.env.SMTP_HOST || '127.0.0.1',
+    smtpPort: Number(process.env.SMTP_PORT) || 2525
+  },
+
+  // Local stand-in for an error reporting service (server/error-collector.js);
+  // point CONFIG.ERROR_REPORTING.endpoint in js/main.js at /reports on it
+  ERROR_COLLECTOR: {
+    host: process.env.ERROR_COLLECTOR_HOST || '127.0.0.1',
+    port: Number(process.env.ERROR_COLLECTOR_PORT) || 8790
+  }
+};
+
+SERVER_CONFIG.PUBLIC_URL = SERVER_CONFIG.PUBLIC_URL ||
+  `http://${SERVER_CONFIG.HOST}:${SERVER_CONFIG.PORT}`;
+
+module.exports = SERVER_CONFIG;
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ERROR COLLECTOR
+ * ==========================================
+ *
+ * A local stand-in for an error reporting service. Receives the reports
+ * ErrorHandler (js/main.js) sends, merges repeats by fingerprint, prints
+ * each one as it arrives and appends it to DATA_DIR/error-reports.ndjson.
+ *
+ *   POST /reports  - a batch from the page (sent by sendBeacon as text/plain)
+ *   GET  /reports  - every error seen so far, most frequent first
+ *
+ * Usage: node server/error-collector.js  (then set CONFIG.ERROR_REPORTING.endpoint
+ * to http://127.0.0.1:8790/reports)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SERVER_CONFIG = require('./config');
+const { HttpError, sendJson, sendError, readJsonBody } = require('./lib/http');
+
+const LOG_FILE = path.join(SERVER_CONFIG.DATA_DIR, 'error-reports.ndjson');
+const MAX_BODY_BYTES = 64 * 1024;
+
+// fingerprint -> { fingerprint, message, source, count, firstSeen, lastSeen, latest }
+const errors = new Map();
+
+// The page posts from another origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Merge a batch into what has been seen and keep it on disk
+ * @param {Object} batch - { reports, dropped, sentAt }
+ * @returns {number} Reports accepted
+ */
+function receive(batch) {
+  const reports = Array.isArray(batch.reports) ? batch.reports : [];
+  const accepted = reports.filter(report => report && typeof report.fingerprint === 'string');
+
+  accepted.forEach(report => {
+    const count = Number.isInteger(report.count) && report.count > 0 ? report.count : 1;
+    const known = errors.get(report.fingerprint);
+
+    if (known) {
+      known.count += count;
+      known.lastSeen = report.lastSeen || known.lastSeen;
+      known.latest = report;
+    } else {
+      errors.set(report.fingerprint, {
+        fingerprint: report.fingerprint,
+        message: report.message,
+        source: report.source || null,
+        count,
+        firstSeen: report.firstSeen,
+        lastSeen: report.lastSeen,
+        latest: report
+      });
+    }
+
+    console.log(`🐞 ${report.fingerprint} ×${count}: ${report.message}`);
+    (report.breadcrumbs || []).slice(-5).forEach(crumb => {
+      console.log(`   ${crumb.category}: ${crumb.message}`);
+    });
+  });
+
+  if (batch.dropped > 0) {
+    console.log(`   (${batch.dropped} more distinct errors dropped by the page)`);
+  }
+
+  if (accepted.length > 0) {
+    fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+    fs.appendFileSync(LOG_FILE, accepted.map(report => JSON.stringify({
+      receivedAt: new Date().toISOString(),
+      ...report
+    })).join('\n') + '\n');
+  }
+
+  return accepted.length;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  try {
+    if (url.pathname !== '/reports') {
+      throw new HttpError(404, 'not_found', 'Only /reports lives here');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+    } else if (req.method === 'POST') {
+      const accepted = receive(await readJsonBody(req, MAX_BODY_BYTES));
+      sendJson(res, 202, { success: true, data: { accepted } }, CORS_HEADERS);
+    } else if (req.method === 'GET') {
+      const list = Array.from(errors.values()).sort((a, b) => b.count - a.count);
+      sendJson(res, 200, { success: true, data: { errors: list } }, CORS_HEADERS);
+    } else {
+      throw new HttpError(405, 'method_not_allowed', 'Method not allowed');
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Error collector failed:', error);
+      error = new HttpError(500, 'server_error', 'Something went wrong');
+    }
+    error.headers = { ...error.headers, ...CORS_HEADERS };
+    sendError(res, error);
+  }
+});
+
+server.listen(SERVER_CONFIG.ERROR_COLLECTOR.port, SERVER_CONFIG.ERROR_COLLECTOR.host, () => {
+  const { host, port } = SERVER_CONFIG.ERROR_COLLECTOR;
+  console.log(`🐞 Error collector listening on http://${host}:${port}/reports`);
+  console.log(`   Reports are saved to ${LOG_FILE}`);
+});
@@ -0,0 +1,90 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ANALYTICS LOG
+ * ==========================================
+ *
+ * Keeps the funnel events sent by js/analytics.js: each is appended to a
+ * newline-delimited JSON file, and counted by type for a quick summary.
+ * Counts start from zero when the server does.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPE_PATTERN = /^[a-z_]{1,40}$/;
+const MAX_EVENTS = 50;
+const MAX_STRING = 100;
+
+class AnalyticsLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.counts = new Map();
+    this.pages = new Set();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Keep only well-formed events, and only their scalar fields
+   * @param {Object} body - { pageId, events }
+   * @returns {Array<Object>|null} Events, or null if the batch is malformed
+   */
+  sanitize(body) {
+    if (typeof body.pageId !== 'string' || !/^[a-z0-9]{1,32}$/.test(body.pageId) ||
+        !Array.isArray(body.events) || body.events.length > MAX_EVENTS) {
+      return null;
+    }
+
+    return body.events
+      .filter(event => event && TYPE_PATTERN.test(event.type) && Number.isFinite(event.at))
+      .map(event => {
+        const clean = {};
+        Object.entries(event).forEach(([key, value]) => {
+          if (typeof value === 'string') {
+            clean[key] = value.slice(0, MAX_STRING);
+          } else if (value === null || typeof value === 'boolean' || Number.isFinite(value)) {
+            clean[key] = value;
+          }
+        });
+        return clean;
+      });
+  }
+
+  /**
+   * Record a batch from one page load
+   * @param {string} pageId - Page load id
+   * @param {Array<Object>} events - Sanitized events
+   * @returns {Promise} Resolves once they are on disk
+   */
+  record(pageId, events) {
+    const receivedAt = new Date().toISOString();
+    const lines = events.map(event => JSON.stringify({ pageId, receivedAt, ...event })).join('\n');
+
+    this.pages.add(pageId);
+    events.forEach(event => {
+      this.counts.set(event.type, (this.counts.get(event.type) || 0) + 1);
+    });
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${lines}\n`, 'utf8');
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * @returns {Object} { pages, events: { type: count } }
+   */
+  summary() {
+    return {
+      pages: this.pages.size,
+      events: Object.fromEntries(this.counts)
+    };
+  }
+}
+
+module.exports = AnalyticsLog;
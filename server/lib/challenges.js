@@ -0,0 +1,123 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SIGNUP CHALLENGES
+ * ==========================================
+ *
+ * Proof-of-work challenges for the signup form. A challenge is a signed
+ * token recording when it was issued; the client must find a nonce such
+ * that SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits
+ * (see js/pow-worker.js). Each challenge is accepted once, and only after
+ * the minimum time-to-submit has passed since it was issued. Used ids are
+ * remembered until they expire; when `maxEntries` of them are live, new
+ * signups get a 503 rather than an old id being forgotten.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+class SignupChallenges {
+  constructor(tokens, { difficulty, challengeTtl, minSubmitTime, maxEntries = 50000 }) {
+    this.tokens = tokens;
+    this.difficulty = difficulty;
+    this.ttl = challengeTtl;
+    this.minSubmitTime = minSubmitTime;
+    this.maxEntries = maxEntries;
+    // Challenge id -> expiry, so a solved challenge can't be replayed
+    this.used = new Map();
+  }
+
+  /**
+   * Create a new challenge
+   * @returns {Object} { challenge, difficulty, minSubmitTime, expiresIn }
+   */
+  issue() {
+    const challenge = this.tokens.sign('challenge', {
+      jti: crypto.randomBytes(12).toString('base64url'),
+      iat: Date.now(),
+      dif: this.difficulty
+    }, this.ttl);
+
+    return {
+      challenge,
+      difficulty: this.difficulty,
+      minSubmitTime: this.minSubmitTime,
+      expiresIn: this.ttl
+    };
+  }
+
+  /**
+   * Check a solved challenge and mark it as used
+   * @param {Object} proof - { challenge, nonce } from the request body
+   * @throws {HttpError} 400 invalid_challenge or too_fast, 503 busy when
+   *   too many unexpired challenges are in use to remember another
+   */
+  verify(proof) {
+    if (!proof || typeof proof.challenge !== 'string' || typeof proof.nonce !== 'string' || proof.nonce.length > 20) {
+      throw new HttpError(400, 'invalid_challenge', 'Missing or malformed challenge');
+    }
+
+    let claims;
+    try {
+      claims = this.tokens.verify(proof.challenge, 'challenge');
+    } catch (error) {
+      throw new HttpError(400, 'invalid_challenge', 'This challenge is not valid any more');
+    }
+
+    if (Date.now() - claims.iat < this.minSubmitTime) {
+      throw new HttpError(400, 'too_fast', 'Submitted too quickly');
+    }
+
+    const digest = crypto.createHash('sha256').update(`${proof.challenge}:${proof.nonce}`).digest();
+    if (leadingZeroBits(digest) < claims.dif) {
+      throw new HttpError(400, 'invalid_challenge', 'Challenge answer is wrong');
+    }
+
+    this.purge();
+    if (this.used.has(claims.jti)) {
+      throw new HttpError(400, 'invalid_challenge', 'This challenge was already used');
+    }
+    // Forgetting an unexpired id would let its proof be replayed
+    if (this.used.size >= this.maxEntries) {
+      throw new HttpError(503, 'busy', 'Too many signups right now, please try again shortly');
+    }
+    this.used.set(claims.jti, claims.exp);
+  }
+
+  /**
+   * Forget used challenges that have expired anyway. Ids are roughly in
+   * expiry order, so this normally stops at the first live one; a full
+   * map is swept completely.
+   */
+  purge() {
+    const now = Date.now();
+    const full = this.used.size >= this.maxEntries;
+    for (const [id, expiresAt] of this.used) {
+      if (expiresAt <= now) {
+        this.used.delete(id);
+      } else if (!full) {
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Number of leading zero bits of a digest
+ * @param {Buffer} digest - Digest
+ * @returns {number} Leading zero bits
+ */
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+module.exports = SignupChallenges;
@@ -0,0 +1,87 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - CONSENT RECORDS
+ * ==========================================
+ *
+ * Every signup must carry the visitor's consent: which options they
+ * ticked, the privacy notice version and the exact wording they saw,
+ * and the page they were on. The server adds the time. Records are kept
+ * on the subscriber (`consents`), one per signup.
+ */
+
+'use strict';
+
+const { FormSchema, FORM_CONFIG } = require('../../js/form-validation.js');
+const { HttpError } = require('./http');
+
+const schema = new FormSchema();
+const CONSENT_FIELD = 'consent';
+const MAX_TEXT_LENGTH = 500;
+
+const field = FORM_CONFIG.FIELDS.find(candidate => candidate.name === CONSENT_FIELD);
+
+/**
+ * @param {string} rule - Failed rule, so the form can show its own copy
+ * @param {string} message - Error message
+ * @returns {HttpError} 400 invalid_field pointing at the consent checkboxes
+ */
+function consentError(rule, message = field.messages[rule]) {
+  return new HttpError(400, 'invalid_field', message, { field: CONSENT_FIELD, rule });
+}
+
+/**
+ * @param {*} value - Untrusted value
+ * @returns {boolean} Whether it is a short non-empty string
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Validate the consent of a signup body and turn it into a record
+ * @param {Object} body - Parsed request body
+ * @param {Object} req - HTTP request (for the Referer fallback)
+ * @returns {Object} Consent record
+ * @throws {HttpError} 400 invalid_field (field "consent")
+ */
+function readConsent(body, req) {
+  const consent = body[CONSENT_FIELD];
+  if (!consent || typeof consent !== 'object' || !Array.isArray(consent.granted)) {
+    throw consentError('required');
+  }
+
+  const result = schema.validateField(CONSENT_FIELD, consent.granted);
+  if (!result.isValid) {
+    throw consentError(result.code, result.message);
+  }
+
+  // Consent only counts for the notice we're currently showing
+  if (consent.version !== FORM_CONFIG.PRIVACY_NOTICE.version) {
+    throw consentError('noticeVersion');
+  }
+
+  const granted = [...new Set(result.value)];
+  const wording = {};
+  granted.forEach(option => {
+    const text = consent.wording && consent.wording[option];
+    if (!isText(text)) {
+      throw consentError('wording', FORM_CONFIG.MESSAGES.invalidField);
+    }
+    wording[option] = text.trim();
+  });
+
+  const source = isText(consent.source) ? consent.source : req.headers.referer;
+
+  return {
+    noticeVersion: consent.version,
+    granted,
+    wording,
+    source: isText(source) ? source.slice(0, MAX_TEXT_LENGTH) : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  readConsent,
+  CONSENT_FIELD
+};
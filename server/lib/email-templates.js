@@ -0,0 +1,127 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - EMAIL TEMPLATES
+ * ==========================================
+ *
+ * Subject, plain text and HTML bodies for outgoing emails
+ */
+
+'use strict';
+
+const BRAND = {
+  primary: '#8B4513',
+  cream: '#FFF8DC',
+  gray: '#808080'
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap content in the branded email layout
+ * @param {string} content - Inner HTML
+ * @param {string} preferencesUrl - Link to the preference center, if any
+ * @returns {string} Full HTML document
+ */
+function layout(content, preferencesUrl = null) {
+  const footer = preferencesUrl
+    ? `<p style="color:${BRAND.gray};font-size:12px;margin-top:32px;">
+      <a href="${escapeHtml(preferencesUrl)}" style="color:${BRAND.gray};">Manage preferences or unsubscribe</a>
+    </p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<body style="margin:0;padding:32px 16px;background:${BRAND.cream};font-family:Arial,sans-serif;color:#333333;">
+  <div style="max-width:480px;margin:0 auto;background:#FFFFFF;border-radius:16px;padding:32px;text-align:center;">
+    <p style="font-family:Georgia,serif;font-size:22px;font-weight:bold;color:${BRAND.primary};margin:0 0 24px;">Crumble Bakery</p>
+    ${content}
+    ${footer}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Plain text footer with the preference center link
+ * @param {string} preferencesUrl - Link to the preference center
+ * @returns {Array<string>} Lines
+ */
+function textFooter(preferencesUrl) {
+  return ['', '--', `Manage preferences or unsubscribe: ${preferencesUrl}`];
+}
+
+/**
+ * Double opt-in confirmation email
+ * @param {Object} data - { confirmUrl, ttlHours, preferencesUrl, firstName }
+ * @returns {Object} { subject, text, html }
+ */
+function confirmationEmail({ confirmUrl, ttlHours, preferencesUrl, firstName = null }) {
+  const url = escapeHtml(confirmUrl);
+  const greeting = firstName ? `Hi ${firstName}! ` : '';
+
+  return {
+    subject: 'Please confirm your Crumble Bakery subscription',
+    text: [
+      `${greeting}Thanks for signing up for Crumble Bakery launch news!`,
+      '',
+      'Please confirm your email address by opening this link:',
+      confirmUrl,
+      '',
+      `The link expires in ${ttlHours} hours. If you didn't sign up, just ignore this email.`,
+      ...textFooter(preferencesUrl)
+    ].join('\n'),
+    html: layout(`
+    <h1 style="font-family:Georgia,serif;color:${BRAND.primary};font-size:24px;">One more step!</h1>
+    <p>${escapeHtml(greeting)}Thanks for signing up for Crumble Bakery launch news. Please confirm your email address.</p>
+    <p style="margin:32px 0;">
+      <a href="${url}" style="background:${BRAND.primary};color:#FFFFFF;padding:14px 28px;border-radius:50px;text-decoration:none;font-weight:bold;">Confirm my subscription</a>
+    </p>
+    <p style="color:${BRAND.gray};font-size:13px;">The link expires in ${ttlHours} hours. If you didn't sign up, just ignore this email.</p>`, preferencesUrl)
+  };
+}
+
+/**
+ * Link to the preference center, sent on request
+ * @param {Object} data - { preferencesUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function manageLinkEmail({ preferencesUrl }) {
+  const url = escapeHtml(preferencesUrl);
+
+  return {
+    subject: 'Your Crumble Bakery email preferences',
+    text: [
+      'You asked for a link to manage your Crumble Bakery emails.',
+      '',
+      'Choose your topics, change how often we write or unsubscribe here:',
+      preferencesUrl,
+      '',
+      'If you didn\'t ask for this, you can safely ignore this email.'
+    ].join('\n'),
+    html: layout(`
+    <h1 style="font-family:Georgia,serif;color:${BRAND.primary};font-size:24px;">Your email preferences</h1>
+    <p>Choose your topics, change how often we write or unsubscribe.</p>
+    <p style="margin:32px 0;">
+      <a href="${url}" style="background:${BRAND.primary};color:#FFFFFF;padding:14px 28px;border-radius:50px;text-decoration:none;font-weight:bold;">Manage preferences</a>
+    </p>
+    <p style="color:${BRAND.gray};font-size:13px;">If you didn't ask for this, you can safely ignore this email.</p>`)
+  };
+}
+
+module.exports = {
+  confirmationEmail,
+  manageLinkEmail,
+  escapeHtml,
+  layout
+};
@@ -0,0 +1,76 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SERVER EMAIL HELPERS
+ * ==========================================
+ *
+ * Validates and normalizes addresses with the same EmailValidator the
+ * signup form uses, so client and server never disagree.
+ */
+
+'use strict';
+
+const { EmailValidator } = require('../../js/form-validation.js');
+const IDN = require('../../js/idn.js');
+
+const validator = new EmailValidator();
+
+/**
+ * Split an address at its last "@"
+ * @param {string} email - Email
+ * @returns {Array<string>} [local, domain]
+ */
+function splitAddress(email) {
+  const at = email.lastIndexOf('@');
+  return at === -1 ? [email, ''] : [email.slice(0, at), email.slice(at + 1)];
+}
+
+/**
+ * Normalize an email the same way LocalStorageManager.storeSubmission
+ * does (trimmed, lowercased), with IDN domains stored in punycode
+ * @param {string} email - Raw email
+ * @returns {string} Normalized email
+ */
+function normalizeEmail(email) {
+  const [local, domain] = splitAddress(String(email).trim().normalize('NFC').toLowerCase());
+  const ascii = domain && IDN.toASCII(domain);
+  return ascii ? `${local}@${ascii}` : `${local}@${domain}`;
+}
+
+/**
+ * Human-readable form of a normalized email (Unicode domain)
+ * @param {string} email - Normalized email
+ * @returns {string} Display email
+ */
+function displayEmail(email) {
+  const [local, domain] = splitAddress(email);
+  return `${local}@${IDN.toUnicode(domain) || domain}`;
+}
+
+/**
+ * Validate a raw email from a request body
+ * @param {*} email - Raw value
+ * @returns {Object} Validation result with isValid and message
+ */
+function validateEmail(email) {
+  if (typeof email !== 'string') {
+    return validator.validate('');
+  }
+  return validator.validate(email);
+}
+
+/**
+ * Whether a raw domain is one an address could have (the form's label
+ * rules: lengths, characters and hyphens, IDN domains in punycode)
+ * @param {*} domain - Raw value
+ * @returns {boolean} Is valid
+ */
+function validateDomain(domain) {
+  return typeof domain === 'string' && validator.validateDomainPart(domain);
+}
+
+module.exports = {
+  normalizeEmail,
+  displayEmail,
+  validateEmail,
+  validateDomain
+};
@@ -0,0 +1,135 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - HTTP HELPERS
+ * ==========================================
+ *
+ * Shared request/response helpers for the API routes
+ */
+
+'use strict';
+
+/**
+ * Error that maps directly onto an API error response. Details (e.g. the
+ * offending form field) are added to the error object in the response;
+ * headers (e.g. Retry-After) are sent with it.
+ */
+class HttpError extends Error {
+  constructor(status, code, message, details = {}, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * Send an API error response
+ * @param {http.ServerResponse} res - Response
+ * @param {HttpError} error - Error to send
+ */
+function sendError(res, error) {
+  sendJson(res, error.status, {
+    success: false,
+    error: {
+      ...error.details,
+      code: error.code,
+      message: error.message
+    }
+  }, error.headers);
+}
+
+/**
+ * Read a raw request body as text
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Maximum accepted body size
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, 'payload_too_large', 'Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Maximum accepted body size
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJsonBody(req, maxBytes) {
+  const raw = await readBody(req, maxBytes);
+  if (!raw) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (error) {
+    body = null;
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'invalid_json', 'Request body must be a JSON object');
+  }
+
+  return body;
+}
+
+/**
+ * Address of the client, honouring X-Forwarded-For only behind a
+ * trusted proxy
+ * @param {http.IncomingMessage} req - Request
+ * @param {boolean} trustProxy - Whether a reverse proxy sets X-Forwarded-For
+ * @returns {string} IP address
+ */
+function clientIp(req, trustProxy = false) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = {
+  HttpError,
+  clientIp,
+  sendJson,
+  sendError,
+  readBody,
+  readJsonBody
+};
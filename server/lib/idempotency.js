@@ -0,0 +1,85 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - IDEMPOTENCY KEYS
+ * ==========================================
+ *
+ * Remembers the response to each Idempotency-Key so retried and
+ * replayed requests get the original answer instead of being applied
+ * again. Kept in memory with a TTL; a replay after a restart falls back
+ * to the store's own duplicate handling.
+ */
+
+'use strict';
+
+const { HttpError } = require('./http');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+class IdempotencyCache {
+  constructor({ ttl = 24 * 60 * 60 * 1000, maxEntries = 10000 } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read and validate the Idempotency-Key header
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string|null} Key, or null when absent
+   */
+  keyFrom(req) {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+      return null;
+    }
+    if (!KEY_PATTERN.test(key)) {
+      throw new HttpError(400, 'invalid_idempotency_key', 'Idempotency-Key is malformed');
+    }
+    return key;
+  }
+
+  /**
+   * Look up a stored response
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Identifies the request body
+   * @returns {Object|null} { status, body } or null
+   */
+  get(key, fingerprint) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    if (entry.fingerprint !== fingerprint) {
+      throw new HttpError(422, 'idempotency_key_reused', 'Idempotency-Key was used for a different request');
+    }
+
+    return entry.response;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Identifies the request body
+   * @param {Object} response - { status, body }
+   */
+  set(key, fingerprint, response) {
+    // Map keeps insertion order, so the first key is the oldest
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, {
+      fingerprint,
+      response,
+      expiresAt: Date.now() + this.ttl
+    });
+  }
+}
+
+module.exports = IdempotencyCache;
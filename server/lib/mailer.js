@@ -0,0 +1,185 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - MAILER
+ * ==========================================
+ *
+ * Builds plain RFC 5322 messages and hands them to a transport:
+ * - FileTransport writes .eml files to a directory
+ * - SmtpTransport speaks just enough SMTP to deliver to a local relay
+ *   or to the capture server in server/smtp-sink.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Extract the bare address from "Name <address>"
+ * @param {string} value - Address header value
+ * @returns {string} Address
+ */
+function bareAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return match ? match[1] : value.trim();
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Build a multipart/alternative message
+ * @param {Object} message - { from, to, subject, text, html, headers }
+ * @returns {string} Raw message with CRLF line endings
+ */
+function buildMessage(message) {
+  const boundary = `crumble-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = bareAddress(message.from).split('@')[1] || 'localhost';
+
+  const headers = {
+    'From': message.from,
+    'To': message.to,
+    'Subject': encodeHeader(message.subject),
+    'Date': new Date().toUTCString(),
+    'Message-ID': `<${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version': '1.0',
+    ...message.headers,
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`
+  };
+
+  const lines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+  lines.push('');
+
+  const parts = [['text/plain', message.text], ['text/html', message.html]]
+    .filter(([, body]) => body);
+
+  parts.forEach(([type, body]) => {
+    lines.push(`--${boundary}`);
+    lines.push(`Content-Type: ${type}; charset=utf-8`);
+    lines.push('Content-Transfer-Encoding: base64');
+    lines.push('');
+    lines.push(...Buffer.from(body).toString('base64').match(/.{1,76}/g));
+  });
+
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async deliver(envelope, raw) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(this.directory, fileName), raw);
+  }
+}
+
+class SmtpTransport {
+  constructor(host, port, options = {}) {
+    this.host = host;
+    this.port = port;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Deliver a message with a single SMTP session
+   * @param {Object} envelope - { from, to } bare addresses
+   * @param {string} raw - Raw message
+   */
+  deliver(envelope, raw) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.port, this.host);
+      // Dot-stuff lines starting with "." and terminate with <CRLF>.<CRLF>
+      const data = `${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`;
+      const steps = [
+        { expect: 220, send: 'EHLO crumblebakery.local' },
+        { expect: 250, send: `MAIL FROM:<${envelope.from}>` },
+        { expect: 250, send: `RCPT TO:<${envelope.to}>` },
+        { expect: 250, send: 'DATA' },
+        { expect: 354, send: data },
+        { expect: 250, send: 'QUIT' }
+      ];
+      let buffer = '';
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setEncoding('utf8');
+      socket.setTimeout(this.timeout, () => fail(new Error('SMTP timeout')));
+      socket.on('error', fail);
+      socket.on('close', () => {
+        if (steps.length) {
+          reject(new Error('SMTP connection closed early'));
+        }
+      });
+
+      socket.on('data', (chunk) => {
+        if (!steps.length) {
+          return;
+        }
+        buffer += chunk;
+
+        // Wait for the final line of a (possibly multi-line) reply
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+        const reply = lines.find(line => /^\d{3} /.test(line));
+        if (!reply) {
+          return;
+        }
+
+        const code = Number(reply.slice(0, 3));
+        const step = steps.shift();
+        if (code !== step.expect) {
+          fail(new Error(`SMTP error: ${reply}`));
+          return;
+        }
+
+        socket.write(`${step.send}\r\n`);
+        if (!steps.length) {
+          socket.end();
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+class Mailer {
+  constructor(config, dataDir) {
+    this.from = config.from;
+    this.transport = config.transport === 'smtp'
+      ? new SmtpTransport(config.smtpHost, config.smtpPort)
+      : new FileTransport(path.join(dataDir, 'outbox'));
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html, headers }
+   */
+  async send(message) {
+    const full = { from: this.from, ...message };
+    const envelope = { from: bareAddress(full.from), to: bareAddress(full.to) };
+    await this.transport.deliver(envelope, buildMessage(full));
+  }
+}
+
+module.exports = {
+  Mailer,
+  buildMessage
+};
@@ -0,0 +1,38 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - MANAGE LINKS
+ * ==========================================
+ *
+ * Per-subscriber preference and one-click unsubscribe links, plus the
+ * List-Unsubscribe headers (RFC 2369 / RFC 8058) for outgoing mail.
+ * The signed "manage" token does not expire so links in old emails keep
+ * working.
+ */
+
+'use strict';
+
+/**
+ * Build manage links for a subscriber
+ * @param {Object} subscriber - Subscriber record
+ * @param {Object} context - App context
+ * @returns {Object} { token, preferencesUrl, unsubscribeUrl, headers }
+ */
+function manageLinks(subscriber, context) {
+  const { PUBLIC_URL, PREFERENCES } = context.config;
+  const token = encodeURIComponent(context.tokens.sign('manage', { sub: subscriber.id }));
+  const unsubscribeUrl = `${PUBLIC_URL}/api/unsubscribe?token=${token}`;
+
+  return {
+    token,
+    preferencesUrl: `${PUBLIC_URL}${PREFERENCES.pagePath}?token=${token}`,
+    unsubscribeUrl,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+module.exports = {
+  manageLinks
+};
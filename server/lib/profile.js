@@ -0,0 +1,53 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SIGNUP PROFILE FIELDS
+ * ==========================================
+ *
+ * Validates the optional signup fields (first name, postcode, interests)
+ * against the same FORM_CONFIG.FIELDS schema the form uses.
+ */
+
+'use strict';
+
+const { FormSchema, FORM_CONFIG } = require('../../js/form-validation.js');
+const { HttpError } = require('./http');
+const { CONSENT_FIELD } = require('./consent');
+
+const schema = new FormSchema();
+
+// Every field but the email (lib/email.js) and consent (lib/consent.js)
+const PROFILE_FIELDS = schema.fields.filter(field => field.type !== 'email' && field.name !== CONSENT_FIELD);
+
+/**
+ * Validate and collect the profile fields of a signup body
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Normalized profile; fields left empty are omitted
+ * @throws {HttpError} 400 invalid_field naming the first bad field
+ */
+function readProfile(body) {
+  const profile = {};
+
+  PROFILE_FIELDS.forEach(field => {
+    const raw = body[field.name];
+    const expected = field.type === 'checkbox' ? Array.isArray(raw) : typeof raw === 'string';
+
+    if (raw !== undefined && raw !== null && !expected) {
+      throw new HttpError(400, 'invalid_field', FORM_CONFIG.MESSAGES.invalidField, { field: field.name, rule: 'type' });
+    }
+
+    const result = schema.validateField(field.name, raw);
+    if (!result.isValid) {
+      throw new HttpError(400, 'invalid_field', result.message, { field: field.name, rule: result.code });
+    }
+
+    if (result.value.length > 0) {
+      profile[field.name] = field.type === 'checkbox' ? [...new Set(result.value)] : result.value;
+    }
+  });
+
+  return profile;
+}
+
+module.exports = {
+  readProfile
+};
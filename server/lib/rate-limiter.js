@@ -0,0 +1,149 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - RATE LIMITING
+ * ==========================================
+ *
+ * Token buckets kept in memory. Each bucket holds up to `capacity`
+ * tokens and regains one every `refillMs`. A request takes one token and
+ * is refused while its bucket is empty. Idle buckets refill to capacity,
+ * so they are forgotten rather than kept around.
+ */
+
+'use strict';
+
+const { HttpError } = require('./http');
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - { capacity, refillMs, maxKeys }
+   */
+  constructor({ capacity, refillMs, maxKeys = 10000 }) {
+    this.capacity = capacity;
+    this.refillMs = refillMs;
+    this.maxKeys = maxKeys;
+    // key -> { tokens, updatedAt }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token for a key
+   * @param {string} key - Bucket key (IP, email, ...)
+   * @param {number} now - Current time in ms
+   * @returns {Object} { allowed, limit, remaining, resetMs, retryAfterMs, windowMs }
+   */
+  take(key, now = Date.now()) {
+    const bucket = this.refill(key, now);
+    const allowed = bucket.tokens >= 1;
+
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.delete(key);
+    this.buckets.set(key, bucket);
+    this.evict(now);
+
+    return {
+      allowed,
+      limit: this.capacity,
+      windowMs: this.capacity * this.refillMs,
+      remaining: Math.floor(bucket.tokens),
+      // Until the bucket is full again
+      resetMs: Math.ceil((this.capacity - bucket.tokens) * this.refillMs),
+      // Until the next token
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * this.refillMs)
+    };
+  }
+
+  /**
+   * Current bucket for a key with the tokens earned since its last use
+   * @param {string} key - Bucket key
+   * @param {number} now - Current time in ms
+   * @returns {Object} Bucket
+   */
+  refill(key, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) {
+      return { tokens: this.capacity, updatedAt: now };
+    }
+
+    const earned = (now - bucket.updatedAt) / this.refillMs;
+    return { tokens: Math.min(this.capacity, bucket.tokens + earned), updatedAt: now };
+  }
+
+  /**
+   * Drop the least recently used buckets over maxKeys. Map order is
+   * least recently used first because take() re-inserts each key.
+   * @param {number} now - Current time in ms
+   */
+  evict(now) {
+    for (const [key, bucket] of this.buckets) {
+      const full = bucket.tokens + (now - bucket.updatedAt) / this.refillMs >= this.capacity;
+      if (!full && this.buckets.size <= this.maxKeys) break;
+      this.buckets.delete(key);
+    }
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} config - config.RATE_LIMITS
+   */
+  constructor(config) {
+    this.enabled = config.enabled;
+    this.limiters = {};
+    Object.keys(config.buckets).forEach(name => {
+      this.limiters[name] = new TokenBucketLimiter(config.buckets[name]);
+    });
+  }
+
+  /**
+   * Take one token from each named bucket. Every bucket is charged even
+   * when an earlier one refuses, so hammering one limit still costs.
+   * @param {Object} keys - Bucket name -> key, e.g. { perIp: '1.2.3.4' }
+   * @param {Object} earlier - Headers from an earlier check in the same request
+   * @returns {Object} Headers describing the tightest bucket
+   * @throws {HttpError} 429 rate_limited with Retry-After
+   */
+  check(keys, earlier = {}) {
+    if (!this.enabled) {
+      return earlier;
+    }
+
+    const results = Object.keys(keys).map(name => this.limiters[name].take(keys[name]));
+    const refused = results.filter(result => !result.allowed);
+
+    if (refused.length > 0) {
+      const worst = refused.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a));
+      const retryAfter = Math.ceil(worst.retryAfterMs / 1000);
+
+      throw new HttpError(429, 'rate_limited', 'Too many requests, please try again later', { retryAfter }, {
+        ...rateLimitHeaders(worst),
+        'Retry-After': String(retryAfter)
+      });
+    }
+
+    const headers = rateLimitHeaders(results.reduce((a, b) => (b.remaining < a.remaining ? b : a)));
+    const earlierRemaining = Number(earlier['RateLimit-Remaining']);
+
+    return earlierRemaining < Number(headers['RateLimit-Remaining']) ? earlier : headers;
+  }
+}
+
+/**
+ * RateLimit-* headers (IETF httpapi draft) for a bucket result
+ * @param {Object} result - TokenBucketLimiter.take() result
+ * @returns {Object} Headers
+ */
+function rateLimitHeaders(result) {
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`
+  };
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucketLimiter
+};
@@ -0,0 +1,108 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - STATIC FILE SERVING
+ * ==========================================
+ *
+ * Serves the site itself (index.html, css/, js/ ...) next to the API.
+ * Only allowlisted directories and root-level pages are exposed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Resolve a URL path to a servable file, or null if it is not allowed
+ * @param {string} rootDir - Site root
+ * @param {string} pathname - Decoded URL path
+ * @param {Object} options - Allowed directories and root extensions
+ * @returns {string|null} Absolute file path
+ */
+function resolveStaticPath(rootDir, pathname, options) {
+  const relative = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+  const filePath = path.resolve(rootDir, relative);
+
+  // Never escape the site root
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    return null;
+  }
+
+  const segments = path.relative(rootDir, filePath).split(path.sep);
+  if (segments.length === 1) {
+    return options.rootExtensions.includes(path.extname(filePath)) ? filePath : null;
+  }
+
+  return options.directories.includes(segments[0]) ? filePath : null;
+}
+
+/**
+ * Serve a static file
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - URL path
+ * @param {Object} config - Server configuration
+ * @returns {Promise<boolean>} Whether the request was handled
+ */
+async function serveStatic(req, res, pathname, config) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return false;
+  }
+
+  const filePath = resolveStaticPath(config.ROOT_DIR, decoded, config.STATIC);
+  if (!filePath) {
+    return false;
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    return false;
+  }
+
+  if (!stats.isFile()) {
+    return false;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stats.size,
+    'Cache-Control': 'no-cache'
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return true;
+  }
+
+  fs.createReadStream(filePath).pipe(res);
+  return true;
+}
+
+module.exports = {
+  serveStatic
+};
@@ -0,0 +1,168 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SUBSCRIBER STORE
+ * ==========================================
+ *
+ * Persists subscribers to a JSON file. Every change is written to a
+ * temporary file and renamed over the original so a crash never leaves
+ * a half-written store behind. Writes are serialized through a queue.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_VERSION = 1;
+
+class SubscriberStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.subscribers = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load subscribers from disk, creating the store if it does not exist
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      this.subscribers = Array.isArray(data.subscribers) ? data.subscribers : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.subscribers = [];
+      await this.persist();
+    }
+  }
+
+  /**
+   * Find a subscriber by normalized email
+   * @param {string} email - Normalized email
+   * @returns {Object|undefined} Subscriber record
+   */
+  findByEmail(email) {
+    return this.subscribers.find(subscriber => subscriber.email === email);
+  }
+
+  /**
+   * Find a subscriber by id
+   * @param {string} id - Subscriber id
+   * @returns {Object|undefined} Subscriber record
+   */
+  findById(id) {
+    return this.subscribers.find(subscriber => subscriber.id === id);
+  }
+
+  /**
+   * Number of stored subscribers
+   * @returns {number} Count
+   */
+  count() {
+    return this.subscribers.length;
+  }
+
+  /**
+   * Add a new subscriber
+   * @param {string} email - Normalized email
+   * @param {Object} details - Extra fields to store on the record
+   * @returns {Promise<Object|null>} New record, or null if the email exists
+   */
+  async add(email, details = {}) {
+    if (this.findByEmail(email)) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const subscriber = {
+      id: crypto.randomUUID(),
+      email,
+      ...details,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.subscribers.push(subscriber);
+    await this.persist();
+
+    return subscriber;
+  }
+
+  /**
+   * Update fields on an existing subscriber
+   * @param {string} id - Subscriber id
+   * @param {Object} changes - Fields to merge into the record
+   * @returns {Promise<Object|null>} Updated record, or null if not found
+   */
+  async update(id, changes) {
+    const subscriber = this.findById(id);
+    if (!subscriber) {
+      return null;
+    }
+
+    Object.assign(subscriber, changes, { updatedAt: new Date().toISOString() });
+    await this.persist();
+
+    return subscriber;
+  }
+
+  /**
+   * Remove a subscriber
+   * @param {string} email - Normalized email
+   * @returns {Promise<boolean>} Whether a subscriber was removed
+   */
+  async remove(email) {
+    const index = this.subscribers.findIndex(subscriber => subscriber.email === email);
+    if (index === -1) {
+      return false;
+    }
+
+    this.subscribers.splice(index, 1);
+    await this.persist();
+
+    return true;
+  }
+
+  /**
+   * Queue an atomic write of the current state
+   * @returns {Promise} Resolves once this state is on disk
+   */
+  persist() {
+    const snapshot = JSON.stringify({
+      version: STORE_VERSION,
+      subscribers: this.subscribers
+    }, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.writeAtomic(snapshot));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Write contents to a temp file, flush it and rename it into place
+   * @param {string} contents - File contents
+   */
+  async writeAtomic(contents) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+
+    try {
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = SubscriberStore;
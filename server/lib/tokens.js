@@ -0,0 +1,122 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SIGNED TOKENS
+ * ==========================================
+ *
+ * Compact HMAC-SHA256 signed tokens used in emailed links.
+ * Format: base64url(JSON payload) + "." + base64url(signature)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Raised when a token cannot be used; code is 'invalid' or 'expired'
+ */
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Load the signing secret, generating and persisting one if needed
+ * @param {string|null} configured - Secret from configuration
+ * @param {string} dataDir - Directory to persist a generated secret in
+ * @returns {Promise<string>} Secret
+ */
+async function loadSecret(configured, dataDir) {
+  if (configured) {
+    return configured;
+  }
+
+  const secretPath = path.join(dataDir, '.token-secret');
+  try {
+    return (await fs.promises.readFile(secretPath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  await fs.promises.writeFile(secretPath, secret, { mode: 0o600 });
+  return secret;
+}
+
+class TokenSigner {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  /**
+   * Sign a token
+   * @param {string} purpose - What the token may be used for
+   * @param {Object} claims - Payload claims (e.g. { sub })
+   * @param {number|null} ttl - Lifetime in ms, or null for no expiry
+   * @returns {string} Token
+   */
+  sign(purpose, claims, ttl = null) {
+    const payload = { ...claims, pur: purpose };
+    if (ttl) {
+      payload.exp = Date.now() + ttl;
+    }
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${this.signature(encoded)}`;
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @param {string} token - Token
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Claims
+   * @throws {TokenError} When the token is malformed, forged, misused or expired
+   */
+  verify(token, purpose) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      throw new TokenError('invalid', 'Malformed token');
+    }
+
+    const [encoded, signature] = token.split('.');
+    const expected = Buffer.from(this.signature(encoded));
+    const actual = Buffer.from(signature || '');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new TokenError('invalid', 'Bad token signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new TokenError('invalid', 'Malformed token payload');
+    }
+
+    if (payload.pur !== purpose) {
+      throw new TokenError('invalid', 'Token used for the wrong purpose');
+    }
+
+    if (payload.exp && Date.now() > payload.exp) {
+      throw new TokenError('expired', 'Token has expired');
+    }
+
+    return payload;
+  }
+
+  signature(encoded) {
+    return crypto.createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+}
+
+module.exports = {
+  TokenSigner,
+  TokenError,
+  loadSecret
+};
@@ -0,0 +1,169 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - WAITLIST & REFERRALS
+ * ==========================================
+ *
+ * Everyone who hasn't left the list has a place in line, in signup
+ * order. Each confirmed referral moves the referrer `spotsPerReferral`
+ * places up. Referrals only count once the friend confirms their address,
+ * and never when the friend looks like the referrer: the same mailbox
+ * (ignoring +tags and Gmail dots) or the same network address.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// No 0/o, 1/l/i: codes get read aloud and retyped
+const CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[a-z0-9]{6,16}$/;
+
+const DOTLESS_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+/**
+ * Canonical mailbox, so jane+promo@ and j.a.n.e@gmail.com match jane@
+ * @param {string} email - Normalized email
+ * @returns {string} Mailbox key
+ */
+function mailboxKey(email) {
+  const at = email.lastIndexOf('@');
+  let local = email.slice(0, at).split('+')[0];
+  let domain = email.slice(at + 1);
+
+  if (DOTLESS_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+
+  return `${local}@${domain}`;
+}
+
+class Waitlist {
+  /**
+   * @param {SubscriberStore} store - Subscriber store
+   * @param {TokenSigner} tokens - Used to key the network address hashes
+   * @param {Object} config - Server configuration
+   */
+  constructor(store, tokens, config) {
+    this.store = store;
+    this.tokens = tokens;
+    this.config = config;
+  }
+
+  /**
+   * Generate an unused referral code
+   * @returns {string} Code
+   */
+  createCode() {
+    for (;;) {
+      const bytes = crypto.randomBytes(CODE_LENGTH);
+      const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+      if (!this.findByCode(code)) {
+        return code;
+      }
+    }
+  }
+
+  /**
+   * Find the subscriber a referral code belongs to
+   * @param {*} code - Code from the request
+   * @returns {Object|undefined} Subscriber record
+   */
+  findByCode(code) {
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code.toLowerCase())) {
+      return undefined;
+    }
+    const wanted = code.toLowerCase();
+    return this.store.subscribers.find(subscriber => subscriber.referralCode === wanted);
+  }
+
+  /**
+   * Keyed hash of a client address, so it can be compared but not read
+   * @param {string} ip - Client IP
+   * @returns {string} Hash
+   */
+  hashIp(ip) {
+    return this.tokens.signature(`ip:${ip}`).slice(0, 22);
+  }
+
+  /**
+   * Referral fields for a new signup
+   * @param {Object} signup - { email, ip, ref }
+   * @returns {Object} { referralCode, referredBy, signupIpHash }
+   */
+  enroll({ email, ip, ref }) {
+    const signupIpHash = this.hashIp(ip);
+    const referrer = this.findByCode(ref);
+    const selfReferral = referrer && (
+      mailboxKey(referrer.email) === mailboxKey(email) ||
+      referrer.signupIpHash === signupIpHash
+    );
+
+    return {
+      referralCode: this.createCode(),
+      referredBy: referrer && !selfReferral ? referrer.id : null,
+      signupIpHash
+    };
+  }
+
+  /**
+   * Credit the referrer once a referred subscriber confirms
+   * @param {Object} subscriber - Confirmed subscriber
+   */
+  async creditReferral(subscriber) {
+    if (!subscriber.referredBy || subscriber.referralCredited) {
+      return;
+    }
+
+    const referrer = this.store.findById(subscriber.referredBy);
+    await this.store.update(subscriber.id, { referralCredited: true });
+
+    if (referrer) {
+      await this.store.update(referrer.id, { referralCount: (referrer.referralCount || 0) + 1 });
+    }
+  }
+
+  /**
+   * Place in line, 1-based, among everyone who hasn't unsubscribed
+   * @param {Object} subscriber - Subscriber record
+   * @returns {Object} { position, total }
+   */
+  position(subscriber) {
+    const spots = this.config.REFERRALS.spotsPerReferral;
+    const line = this.store.subscribers
+      .filter(entry => entry.status !== 'unsubscribed')
+      .map((entry, index) => ({ id: entry.id, score: index - (entry.referralCount || 0) * spots, index }))
+      .sort((a, b) => a.score - b.score || a.index - b.index);
+
+    return {
+      position: line.findIndex(entry => entry.id === subscriber.id) + 1,
+      total: line.length
+    };
+  }
+
+  /**
+   * Everything the signup success screen shows
+   * @param {Object} subscriber - Subscriber record
+   * @returns {Object} Waitlist summary
+   */
+  summary(subscriber) {
+    const referrals = subscriber.referralCount || 0;
+
+    return {
+      ...this.position(subscriber),
+      referralCode: subscriber.referralCode,
+      referralUrl: `${this.config.PUBLIC_URL}/?ref=${subscriber.referralCode}`,
+      referrals,
+      rewards: this.config.REFERRALS.rewards.map(tier => ({
+        ...tier,
+        earned: referrals >= tier.referrals
+      }))
+    };
+  }
+}
+
+module.exports = {
+  Waitlist,
+  mailboxKey
+};
@@ -0,0 +1,51 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - ANALYTICS ROUTES
+ * ==========================================
+ *
+ * POST /api/analytics -> 202 | 400
+ * GET  /api/analytics -> 200
+ *
+ * The local collector for js/analytics.js. Batches usually arrive by
+ * sendBeacon, which never reads the response. GET shows how many of each
+ * funnel event have come in.
+ */
+
+'use strict';
+
+const { HttpError, sendJson, readJsonBody } = require('../lib/http');
+
+/**
+ * Store a batch of events
+ */
+async function collect(req, res, context) {
+  const body = await readJsonBody(req, context.config.LIMITS.maxBodyBytes);
+  const events = context.analytics.sanitize(body);
+  if (!events) {
+    throw new HttpError(400, 'invalid_batch', 'Expected { pageId, events }');
+  }
+
+  if (events.length > 0) {
+    await context.analytics.record(body.pageId, events);
+  }
+
+  sendJson(res, 202, {
+    success: true,
+    data: { accepted: events.length }
+  });
+}
+
+/**
+ * Event counts so far
+ */
+function summary(req, res, context) {
+  sendJson(res, 200, {
+    success: true,
+    data: context.analytics.summary()
+  });
+}
+
+module.exports = {
+  'POST /api/analytics': collect,
+  'GET /api/analytics': summary
+};
@@ -0,0 +1,25 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - CHALLENGE ROUTE
+ * ==========================================
+ *
+ * GET /api/challenge -> 200
+ *
+ * Hands out the proof-of-work challenge the signup form solves in the
+ * background before posting to /api/subscribe (see lib/challenges.js).
+ */
+
+'use strict';
+
+const { sendJson } = require('../lib/http');
+
+/**
+ * Issue a signup challenge
+ */
+function challenge(req, res, context) {
+  sendJson(res, 200, { success: true, data: context.challenges.issue() });
+}
+
+module.exports = {
+  'GET /api/challenge': challenge
+};
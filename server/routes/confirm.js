@@ -0,0 +1,64 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - CONFIRMATION ROUTE
+ * ==========================================
+ *
+ * POST /api/confirm { token } -> 200 | 400 | 404 | 409 | 410
+ *
+ * Called by confirm.html with the token from the emailed link. Kept as
+ * a POST so link scanners that prefetch URLs can't confirm on their own.
+ */
+
+'use strict';
+
+const { HttpError, sendJson, readJsonBody } = require('../lib/http');
+const { TokenError } = require('../lib/tokens');
+
+/**
+ * Mark a pending subscriber as confirmed
+ */
+async function confirm(req, res, context) {
+  const body = await readJsonBody(req, context.config.LIMITS.maxBodyBytes);
+
+  let claims;
+  try {
+    claims = context.tokens.verify(body.token, 'confirm');
+  } catch (error) {
+    if (error instanceof TokenError && error.code === 'expired') {
+      throw new HttpError(410, 'token_expired', 'This confirmation link has expired');
+    }
+    throw new HttpError(400, 'invalid_token', 'This confirmation link is not valid');
+  }
+
+  let subscriber = context.store.findById(claims.sub);
+  if (!subscriber) {
+    throw new HttpError(404, 'not_found', 'This subscription no longer exists');
+  }
+
+  // An old link mustn't put someone who unsubscribed back on the list
+  if (subscriber.status === 'unsubscribed') {
+    throw new HttpError(409, 'unsubscribed', 'This email has been unsubscribed');
+  }
+
+  // Confirming twice is harmless
+  if (subscriber.status === 'pending') {
+    subscriber = await context.store.update(subscriber.id, {
+      status: 'confirmed',
+      confirmedAt: new Date().toISOString()
+    });
+    await context.waitlist.creditReferral(subscriber);
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    data: {
+      email: subscriber.email,
+      status: subscriber.status,
+      waitlist: context.waitlist.summary(subscriber)
+    }
+  });
+}
+
+module.exports = {
+  'POST /api/confirm': confirm
+};
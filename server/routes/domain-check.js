@@ -0,0 +1,108 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - DOMAIN CHECK ROUTE
+ * ==========================================
+ *
+ * GET /api/domain-check?domain= -> 200 | 400 | 429
+ *
+ * Backs the signup form's async "domainReachable" rule: a domain can
+ * receive mail when it has MX records, or A/AAAA records as the RFC 5321
+ * implicit MX. A null MX (RFC 7505) means it never accepts mail.
+ * "reachable" is null when DNS could not give an answer.
+ *
+ * Only domains an address could have are looked up, and each IP has its
+ * own rate limit (config.RATE_LIMITS.domainCheck).
+ */
+
+'use strict';
+
+const dns = require('dns').promises;
+const { HttpError, clientIp, sendJson } = require('../lib/http');
+const { validateDomain } = require('../lib/email');
+const IDN = require('../../js/idn.js');
+
+const CACHE_TTL = 10 * 60 * 1000;
+const CACHE_LIMIT = 1000;
+
+// domain -> { reachable, expires }
+const cache = new Map();
+
+/**
+ * Whether DNS answered "no such records" (as opposed to failing)
+ * @param {Error} error - DNS error
+ * @returns {boolean} Is a definite negative answer
+ */
+function isNoRecords(error) {
+  return error.code === dns.NOTFOUND || error.code === dns.NODATA;
+}
+
+/**
+ * Resolve one record type, treating "no records" as an empty answer
+ * @param {Function} resolve - dns.promises resolver
+ * @param {string} domain - ASCII domain
+ * @returns {Promise<Array>} Records
+ */
+async function resolveOrEmpty(resolve, domain) {
+  try {
+    return await resolve(domain);
+  } catch (error) {
+    if (isNoRecords(error)) return [];
+    throw error;
+  }
+}
+
+/**
+ * Look a domain up in DNS
+ * @param {string} domain - ASCII domain
+ * @returns {Promise<boolean|null>} Reachable, or null when unknown
+ */
+async function checkDomain(domain) {
+  try {
+    const mx = await resolveOrEmpty(dns.resolveMx, domain);
+    if (mx.length > 0) {
+      return !(mx.length === 1 && (mx[0].exchange === '' || mx[0].exchange === '.'));
+    }
+
+    const [a, aaaa] = await Promise.all([
+      resolveOrEmpty(dns.resolve4, domain),
+      resolveOrEmpty(dns.resolve6, domain)
+    ]);
+    return a.length > 0 || aaaa.length > 0;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Report whether a domain can receive mail
+ */
+async function domainCheck(req, res, context) {
+  const limits = context.rateLimiter.check({ domainCheck: clientIp(req, context.config.TRUST_PROXY) });
+
+  const raw = (context.url.searchParams.get('domain') || '').trim().toLowerCase();
+  const domain = validateDomain(raw) && IDN.toASCII(raw);
+
+  if (!domain) {
+    throw new HttpError(400, 'invalid_domain', 'Please provide a valid domain');
+  }
+
+  let entry = cache.get(domain);
+  if (!entry || entry.expires < Date.now()) {
+    const reachable = await checkDomain(domain);
+    entry = { reachable, expires: Date.now() + CACHE_TTL };
+
+    // Unknown answers are not worth remembering
+    if (reachable !== null) {
+      if (cache.size >= CACHE_LIMIT) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(domain, entry);
+    }
+  }
+
+  sendJson(res, 200, { success: true, data: { domain, reachable: entry.reachable } }, limits);
+}
+
+module.exports = {
+  'GET /api/domain-check': domainCheck
+};
@@ -0,0 +1,27 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - HEALTH ROUTE
+ * ==========================================
+ *
+ * GET /api/health -> 200
+ *
+ * Public, so it says only that the server is up: nothing about the list.
+ */
+
+'use strict';
+
+const { sendJson } = require('../lib/http');
+
+/**
+ * Report server status
+ */
+function health(req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  });
+}
+
+module.exports = {
+  'GET /api/health': health
+};
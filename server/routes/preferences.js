@@ -0,0 +1,156 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - PREFERENCE ROUTES
+ * ==========================================
+ *
+ * POST /api/unsubscribe?token=     -> 200 | 400 | 404   (RFC 8058 one-click)
+ * GET  /api/preferences?token=     -> 200 | 400 | 404
+ * PUT  /api/preferences?token=     { topics, frequency } -> 200 | 400 | 404 | 409
+ * POST /api/preferences/link       { email } -> 202 | 400 | 429
+ *
+ * All token routes take the signed "manage" token from lib/manage-links.js.
+ * Link requests are rate limited per IP and per email (config.RATE_LIMITS).
+ */
+
+'use strict';
+
+const { HttpError, clientIp, sendJson, readBody, readJsonBody } = require('../lib/http');
+const { normalizeEmail, validateEmail } = require('../lib/email');
+const { manageLinkEmail } = require('../lib/email-templates');
+const { manageLinks } = require('../lib/manage-links');
+
+/**
+ * Resolve the subscriber a manage token belongs to
+ * @param {Object} context - App context
+ * @returns {Object} Subscriber record
+ */
+function subscriberFromToken(context) {
+  let claims;
+  try {
+    claims = context.tokens.verify(context.url.searchParams.get('token'), 'manage');
+  } catch (error) {
+    throw new HttpError(400, 'invalid_token', 'This link is not valid');
+  }
+
+  const subscriber = context.store.findById(claims.sub);
+  if (!subscriber) {
+    throw new HttpError(404, 'not_found', 'This subscription no longer exists');
+  }
+
+  return subscriber;
+}
+
+/**
+ * Public view of a subscriber's preferences
+ * @param {Object} subscriber - Subscriber record
+ * @param {Object} config - Server configuration
+ * @returns {Object} Response data
+ */
+function preferencesView(subscriber, config) {
+  return {
+    email: subscriber.displayEmail || subscriber.email,
+    status: subscriber.status,
+    preferences: subscriber.preferences || { ...config.PREFERENCES.defaults },
+    options: {
+      topics: config.PREFERENCES.topics,
+      frequencies: config.PREFERENCES.frequencies
+    }
+  };
+}
+
+/**
+ * One-click unsubscribe. Mail clients POST "List-Unsubscribe=One-Click"
+ * as a form body; the preference page posts nothing. Either is accepted.
+ */
+async function unsubscribe(req, res, context) {
+  await readBody(req, context.config.LIMITS.maxBodyBytes);
+  const subscriber = subscriberFromToken(context);
+
+  if (subscriber.status !== 'unsubscribed') {
+    await context.store.update(subscriber.id, {
+      status: 'unsubscribed',
+      unsubscribedAt: new Date().toISOString()
+    });
+  }
+
+  sendJson(res, 200, { success: true });
+}
+
+/**
+ * Read preferences
+ */
+function getPreferences(req, res, context) {
+  const subscriber = subscriberFromToken(context);
+  sendJson(res, 200, { success: true, data: preferencesView(subscriber, context.config) });
+}
+
+/**
+ * Update topics and frequency
+ */
+async function updatePreferences(req, res, context) {
+  const body = await readJsonBody(req, context.config.LIMITS.maxBodyBytes);
+  const subscriber = subscriberFromToken(context);
+  const { topics, frequencies } = context.config.PREFERENCES;
+
+  if (subscriber.status === 'unsubscribed') {
+    throw new HttpError(409, 'unsubscribed', 'Sign up again to receive emails');
+  }
+
+  const validTopics = Array.isArray(body.topics) &&
+    body.topics.length > 0 &&
+    body.topics.every(topic => topics.includes(topic));
+
+  if (!validTopics || !frequencies.includes(body.frequency)) {
+    throw new HttpError(400, 'invalid_preferences', 'Choose at least one topic and a valid frequency');
+  }
+
+  const updated = await context.store.update(subscriber.id, {
+    preferences: {
+      topics: [...new Set(body.topics)],
+      frequency: body.frequency
+    }
+  });
+
+  sendJson(res, 200, { success: true, data: preferencesView(updated, context.config) });
+}
+
+/**
+ * Email a preference center link. Always answers 202, without waiting
+ * for the mail to go out, so neither the response nor its timing tells
+ * who is on the list.
+ */
+async function requestLink(req, res, context) {
+  const ip = clientIp(req, context.config.TRUST_PROXY);
+  let limits = context.rateLimiter.check({ perIp: `link:${ip}` });
+
+  const body = await readJsonBody(req, context.config.LIMITS.maxBodyBytes);
+  const validation = validateEmail(body.email);
+
+  if (!validation.isValid) {
+    throw new HttpError(400, 'invalid_email', validation.message);
+  }
+
+  const email = normalizeEmail(body.email);
+  limits = context.rateLimiter.check({ perEmail: `link:${email}` }, limits);
+
+  const subscriber = context.store.findByEmail(email);
+  if (subscriber) {
+    const links = manageLinks(subscriber, context);
+    context.mailer.send({
+      to: subscriber.email,
+      headers: links.headers,
+      ...manageLinkEmail({ preferencesUrl: links.preferencesUrl })
+    }).catch(error => {
+      console.error('Failed to send preferences link:', error.message);
+    });
+  }
+
+  sendJson(res, 202, { success: true }, limits);
+}
+
+module.exports = {
+  'POST /api/unsubscribe': unsubscribe,
+  'GET /api/preferences': getPreferences,
+  'PUT /api/preferences': updatePreferences,
+  'POST /api/preferences/link': requestLink
+};
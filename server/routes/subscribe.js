@@ -0,0 +1,165 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SUBSCRIBE ROUTES
+ * ==========================================
+ *
+ * POST /api/subscribe  { email, consent, firstName?, postcode?, interests?, ref? }
+ *                                -> 202 | 400 | 409 | 429 | 503
+ *
+ * New signups start out pending and receive a confirmation email
+ * (double opt-in); see routes/confirm.js. POST honours Idempotency-Key:
+ * a repeated key gets the original response replayed. The optional
+ * profile fields are validated by lib/profile.js; a bad one gets a 400
+ * naming the field. `consent` ({ version, granted, wording, source }) is
+ * required and kept as a consent record; see lib/consent.js.
+ *
+ * Bot protection (config.BOT_PROTECTION): signups must carry a solved
+ * `proof` from GET /api/challenge, and a filled-in honeypot field gets
+ * a normal-looking 202 without anything being stored or sent.
+ *
+ * A new signup's response includes its waitlist position and referral
+ * link; `ref` is the referral code the visitor arrived with (see
+ * lib/waitlist.js). Signing up again with an address already on file only
+ * re-sends the confirmation: anyone can type someone else's address, so
+ * the response carries no waitlist and the stored profile is left alone. Leaving the list goes through the signed links in
+ * routes/preferences.js.
+ *
+ * Rate limits (config.RATE_LIMITS) apply per IP and globally before the
+ * body is read, and per email once it is known; see lib/rate-limiter.js.
+ */
+
+'use strict';
+
+const { HttpError, clientIp, sendJson, readJsonBody } = require('../lib/http');
+const { normalizeEmail, displayEmail, validateEmail } = require('../lib/email');
+const { confirmationEmail } = require('../lib/email-templates');
+const { manageLinks } = require('../lib/manage-links');
+const { readProfile } = require('../lib/profile');
+const { readConsent } = require('../lib/consent');
+
+/**
+ * Read the request body and return a validated, normalized email
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} context - App context
+ * @returns {Promise<Object>} Parsed body and normalized email
+ */
+async function readEmail(req, context) {
+  const body = await readJsonBody(req, context.config.LIMITS.maxBodyBytes);
+  const validation = validateEmail(body.email);
+
+  if (!validation.isValid) {
+    throw new HttpError(400, 'invalid_email', validation.message);
+  }
+
+  return { body, email: normalizeEmail(body.email) };
+}
+
+/**
+ * Email a fresh confirmation link to a pending subscriber
+ * @param {Object} subscriber - Subscriber record
+ * @param {Object} context - App context
+ */
+async function sendConfirmation(subscriber, context) {
+  const { TOKENS, CONFIRMATION, PUBLIC_URL } = context.config;
+  const token = context.tokens.sign('confirm', { sub: subscriber.id }, TOKENS.confirmationTtl);
+  const confirmUrl = `${PUBLIC_URL}${CONFIRMATION.pagePath}?token=${encodeURIComponent(token)}`;
+  const links = manageLinks(subscriber, context);
+
+  try {
+    await context.mailer.send({
+      to: subscriber.email,
+      headers: links.headers,
+      ...confirmationEmail({
+        confirmUrl,
+        ttlHours: Math.round(TOKENS.confirmationTtl / (60 * 60 * 1000)),
+        preferencesUrl: links.preferencesUrl,
+        firstName: subscriber.profile && subscriber.profile.firstName
+      })
+    });
+  } catch (error) {
+    console.error('Failed to send confirmation email:', error.message);
+    throw new HttpError(503, 'mail_unavailable', 'Could not send the confirmation email');
+  }
+}
+
+/**
+ * Subscribe an email address (pending until confirmed)
+ */
+async function subscribe(req, res, context) {
+  const idempotencyKey = context.idempotency.keyFrom(req);
+  const ip = clientIp(req, context.config.TRUST_PROXY);
+  let limits = context.rateLimiter.check({ global: 'subscribe', perIp: ip });
+
+  const { body: input, email } = await readEmail(req, context);
+  const profile = readProfile(input);
+  const consent = readConsent(input, req);
+  const botProtection = context.config.BOT_PROTECTION;
+
+  if (botProtection.enabled && input[botProtection.honeypotField]) {
+    sendJson(res, 202, { success: true, data: { email, status: 'pending' } });
+    return;
+  }
+
+  const replay = idempotencyKey && context.idempotency.get(idempotencyKey, email);
+  if (replay) {
+    sendJson(res, replay.status, replay.body, { ...limits, 'Idempotent-Replayed': 'true' });
+    return;
+  }
+
+  limits = context.rateLimiter.check({ perEmail: email }, limits);
+
+  if (botProtection.enabled) {
+    context.challenges.verify(input.proof);
+  }
+
+  let subscriber = context.store.findByEmail(email);
+  if (subscriber && subscriber.status === 'confirmed') {
+    throw new HttpError(409, 'already_subscribed', 'This email is already subscribed');
+  }
+
+  // Signing up again while pending simply re-sends the confirmation link;
+  // people who left the list go through double opt-in again
+  const isNew = !subscriber;
+  if (isNew) {
+    subscriber = await context.store.add(email, {
+      displayEmail: displayEmail(email),
+      status: 'pending',
+      profile,
+      consents: [consent],
+      preferences: { ...context.config.PREFERENCES.defaults },
+      ...context.waitlist.enroll({ email, ip, ref: input.ref })
+    });
+  } else {
+    const updates = {
+      consents: [...(subscriber.consents || []), consent]
+    };
+    if (!subscriber.referralCode) {
+      updates.referralCode = context.waitlist.createCode();
+    }
+    if (subscriber.status === 'unsubscribed') {
+      updates.status = 'pending';
+    }
+    subscriber = await context.store.update(subscriber.id, updates);
+  }
+
+  await sendConfirmation(subscriber, context);
+
+  const body = {
+    success: true,
+    data: {
+      email: subscriber.email,
+      status: subscriber.status,
+      waitlist: isNew ? context.waitlist.summary(subscriber) : null
+    }
+  };
+
+  if (idempotencyKey) {
+    context.idempotency.set(idempotencyKey, email, { status: 202, body });
+  }
+
+  sendJson(res, 202, body, limits);
+}
+
+module.exports = {
+  'POST /api/subscribe': subscribe
+};
@@ -0,0 +1,30 @@
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - TIME ROUTE
+ * ==========================================
+ *
+ * GET /api/time -> 200
+ *
+ * The server clock, for js/time-sync.js. Reports when the request was
+ * received and when the response left, like an NTP server, so the client
+ * can take the time spent here out of the round trip.
+ */
+
+'use strict';
+
+const { sendJson } = require('../lib/http');
+
+/**
+ * Report the server time in epoch milliseconds
+ */
+function time(req, res) {
+  const receivedAt = Date.now();
+  sendJson(res, 200, {
+    success: true,
+    data: { receivedAt, sentAt: Date.now() }
+  });
+}
+
+module.exports = {
+  'GET /api/time': time
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - LOCAL SERVER
+ * ==========================================
+ *
+ * Serves the coming soon page and the subscription API.
+ * Usage: node server/server.js  (PORT, HOST, DATA_DIR env overrides)
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+
+const SERVER_CONFIG = require('./config');
+const SubscriberStore = require('./lib/subscriber-store');
+const { TokenSigner, loadSecret } = require('./lib/tokens');
+const { Mailer } = require('./lib/mailer');
+const IdempotencyCache = require('./lib/idempotency');
+const SignupChallenges = require('./lib/challenges');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { Waitlist } = require('./lib/waitlist');
+const AnalyticsLog = require('./lib/analytics-log');
+const createApp = require('./app');
+
+async function start() {
+  const store = new SubscriberStore(path.join(SERVER_CONFIG.DATA_DIR, 'subscribers.json'));
+  await store.load();
+
+  const tokens = new TokenSigner(await loadSecret(SERVER_CONFIG.TOKENS.secret, SERVER_CONFIG.DATA_DIR));
+  const mailer = new Mailer(SERVER_CONFIG.MAIL, SERVER_CONFIG.DATA_DIR);
+
+  const idempotency = new IdempotencyCache();
+  const challenges = new SignupChallenges(tokens, SERVER_CONFIG.BOT_PROTECTION);
+  const rateLimiter = new RateLimiter(SERVER_CONFIG.RATE_LIMITS);
+  const waitlist = new Waitlist(store, tokens, SERVER_CONFIG);
+  const analytics = new AnalyticsLog(path.join(SERVER_CONFIG.DATA_DIR, 'analytics.ndjson'));
+
+  const server = http.createServer(createApp({
+    config: SERVER_CONFIG,
+    store,
+    tokens,
+    mailer,
+    idempotency,
+    challenges,
+    rateLimiter,
+    waitlist,
+    analytics
+  }));
+
+  server.listen(SERVER_CONFIG.PORT, SERVER_CONFIG.HOST, () => {
+    console.log(`🧁 Crumble Bakery server running at http://${SERVER_CONFIG.HOST}:${SERVER_CONFIG.PORT}`);
+  });
+
+  const shutdown = () => {
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+start().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
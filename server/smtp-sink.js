@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * CRUMBLE BAKERY - SMTP SINK
+ * ==========================================
+ *
+ * A local SMTP stand-in for testing outgoing email. Accepts every
+ * message, saves it to DATA_DIR/mailbox and prints the subject and
+ * any links so confirmation flows can be followed by hand.
+ * Usage: node server/smtp-sink.js  (then run the server with MAIL_TRANSPORT=smtp)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const SERVER_CONFIG = require('./config');
+
+const MAILBOX_DIR = path.join(SERVER_CONFIG.DATA_DIR, 'mailbox');
+let messageCount = 0;
+
+/**
+ * Decode the parts of a captured message for the console summary
+ * @param {string} raw - Raw message
+ * @returns {Object} Subject, recipient and links
+ */
+function summarize(raw) {
+  const header = raw.split('\r\n\r\n')[0];
+  const field = (name) => {
+    const match = new RegExp(`^${name}: (.*)$`, 'mi').exec(header);
+    return match ? match[1] : '';
+  };
+
+  const subject = field('Subject').replace(/=\?UTF-8\?B\?([^?]+)\?=/g,
+    (_, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+
+  // Bodies are base64 encoded; decode each block to find links
+  const decoded = raw.split(/\r\n\r\n/).slice(1)
+    .map(block => Buffer.from(block.replace(/\r\n/g, ''), 'base64').toString('utf8'))
+    .join('\n');
+  const links = [...new Set(decoded.match(/https?:\/\/[^\s"<>]+/g) || [])];
+
+  return { to: field('To'), subject, links };
+}
+
+/**
+ * Save a received message and log a summary
+ * @param {string} raw - Raw message
+ */
+function store(raw) {
+  fs.mkdirSync(MAILBOX_DIR, { recursive: true });
+  messageCount += 1;
+  const fileName = `${Date.now()}-${messageCount}.eml`;
+  fs.writeFileSync(path.join(MAILBOX_DIR, fileName), raw);
+
+  const { to, subject, links } = summarize(raw);
+  console.log(`📬 ${fileName} → ${to}: ${subject}`);
+  links.forEach(link => console.log(`   ${link}`));
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.setEncoding('utf8');
+  socket.on('error', () => socket.destroy());
+  reply('220 crumble-smtp-sink ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    while (buffer) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+
+        store(buffer.slice(0, end + 2).replace(/^\.\./, '.').replace(/\r\n\.\./g, '\r\n.'));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        reply('250 OK: message captured');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) {
+        return;
+      }
+
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 crumble-smtp-sink');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+        return;
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+});
+
+server.listen(SERVER_CONFIG.MAIL.smtpPort, SERVER_CONFIG.MAIL.smtpHost, () => {
+  console.log(`📮 SMTP sink listening on ${SERVER_CONFIG.MAIL.smtpHost}:${SERVER_CONFIG.MAIL.smtpPort}`);
+  console.log(`   Messages are saved to ${MAILBOX_DIR}`);
+});